@@ -1,17 +1,51 @@
-const { useEffect, useMemo, useRef, useState } = React;
-const { motion, AnimatePresence } = window.FramerMotion;
+const { memo, useCallback, useEffect, useMemo, useRef, useState } = React;
+const { motion, AnimatePresence, MotionConfig } = window.FramerMotion;
 
 /**
  * Living Dex Tracker (single-file React app)
  * - Pokéball opening intro
- * - Horizontal “Pokédex” carousel with mouse wheel + drag
+ * - Horizontal “Pokédex” carousel: wheel, drag with momentum + snap; whatever settles under
+ *   the reticle becomes the selection
  * - Centered selection shows Dex info + game buttons + encounter locations
+ *   (method, level range, chance and conditions per location)
  * - Bright green Catch button w/ SFX + localStorage persistence
- * - List view with search + missing/caught filters
+ * - Keyboard: arrows/Home/End, C to catch, / to search, G + number to jump; ARIA roles,
+ *   live announcements and prefers-reduced-motion support
+ * - List view with missing/caught filters and a search query language
+ *   (type:fire gen:3 caught:no, #152-251, -type:water, game:emerald…), autocomplete, saved searches
+ * - Bulk edits in the list: multi-select (shift-click ranges), mark caught/missing, set a record
+ *   field, add to named lists, "#1–151" range commands; one confirmation and one Undo each
+ * - Achievements (first catch, every 100, full generation/type/evolution line, all starters,
+ *   100%): each with its own synthesized jingle + confetti, and a per-profile gallery
+ * - Undo/redo for every change (Ctrl+Z / Ctrl+Shift+Z, toast buttons) + a persistent, filterable,
+ *   exportable activity log ("History")
+ * - Dex modes: National, per-generation, and regional Pokédexes (own numbering)
+ * - Optional forms dex: regional/gender/cosmetic forms as their own slots
+ * - Shiny toggle: a second, independent caught collection with shiny sprites
+ * - Import/export: CSV + versioned JSON backup, with a diff preview before applying
+ * - Named save profiles, each with its own caught data + settings
+ * - Sync across devices through any server speaking a two-route REST contract (see "Sync"):
+ *   per-entry last-write-wins, conflict reports, offline queue, status chip
+ * - Catch records: date, game, ball, nickname, OT/ID, level, storage + notes per entry
+ * - HOME box planner: the current dex laid out in 30-slot boxes
+ * - Hunting planner: pick a game, see which areas cover the most missing Pokémon
+ * - Evolution chain with triggers + "get it by evolving/breeding" hints
+ * - "My games": mark owned games, filter missing Pokémon by what those games can get you
+ * - Game matrix: wild / evolve / version-exclusive availability per game, CSV export
+ * - Stats: completion by generation, type, category, regional dex and game of origin,
+ *   a progress-over-time chart from catch dates (local SVG) and the closest-to-done generations
+ * - Offline cache: PokeAPI responses kept in IndexedDB (TTL + stale-while-revalidate)
+ * - Installable PWA: manifest + service worker (sw.js) so it opens with no signal
+ * - Request layer: retries with backoff, concurrency cap, in-flight dedupe, cancellation
+ * - Pluggable data source: public PokeAPI, a self-hosted mirror, or a static JSON dump
+ * - Virtualized carousel + list: only what's on screen is mounted (fine past 1,500 forms)
  *
  * Data sources (no keys needed):
  * - Dex info + sprites + flavor text: https://pokeapi.co
  * - Encounter locations by game version: PokeAPI /pokemon/{id}/encounters
+ * - Regional/generation lists: PokeAPI /pokedex/{name} and /generation/{id}
+ * - Forms: PokeAPI /pokemon-species/{id}.varieties + /pokemon-form/{name}
+ * - Any of the above can point at a self-hosted copy instead (see "Data source")
  *
  * Setup (Vite):
  *   npm create vite@latest living-dex -- --template react
@@ -24,21 +58,187 @@ const { motion, AnimatePresence } = window.FramerMotion;
 
 // ---------- Small utils ----------
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+// Single-save keys from before profiles existed; only read once, to migrate into "Default".
 const LS_KEY = "livingDex:caught";
+const LS_SHINY_KEY = "livingDex:caught:shiny";
+const LS_SHINY_MODE_KEY = "livingDex:shinyMode";
+const LS_DEX_KEY = "livingDex:dex";
+const LS_FORMS_KEY = "livingDex:forms";
+// Caught data format: 1 = bare array of keys, 2 = { v: 2, entries: [[key, record]…] }
+const CATCH_SCHEMA_VERSION = 2;
+// Shared by all profiles
+const LS_PROFILES_KEY = "livingDex:profiles";
+const LS_FORMS_CACHE_KEY = "livingDex:formsCache:v2";
+const LS_PLANNER_CACHE_PREFIX = "livingDex:plannerCache:v1:"; // + version name
+const LS_EVOLVES_FROM_CACHE_KEY = "livingDex:evolvesFrom:v1"; // { speciesId: parentId | 0 }
+const LS_ENCOUNTER_VERSIONS_CACHE_KEY = "livingDex:encounterVersions:v1"; // { speciesId: [version] }
+const LS_VERSION_DEX_CACHE_KEY = "livingDex:versionDex:v1"; // { version: { siblings, species } }
+const LS_TYPES_CACHE_KEY = "livingDex:types:v1"; // { byName: { pokemonName: [type] }, byId: { speciesId: [type] } }
+const LS_SPECIES_FLAGS_CACHE_KEY = "livingDex:speciesFlags:v2"; // { speciesId: { legendary, mythical, baby } }
+// Caches replaced by a newer version above; removed on load and by clearCaches.
+const LS_LEGACY_CACHE_KEYS = ["livingDex:formsCache:v1", "livingDex:speciesFlags:v1"];
 
-function loadCaught() {
+// Gen 1–9 national dex currently goes to 1025+ (updates happen).
+// If PokeAPI adds more later, just bump this.
+const DEX_MAX = 1025;
+
+// A collection is a Map: caught key -> catch record (see CATCH_FIELDS; every field optional).
+// Old v1 saves (a bare array of keys) are upgraded on load and written back as v2. Anything else
+// (e.g. a newer version's format) gives null.
+function caughtFromJSON(data) {
+  if (Array.isArray(data)) return new Map(data.map((k) => [k, {}]));
+  if (data?.v === CATCH_SCHEMA_VERSION && Array.isArray(data.entries)) {
+    return new Map(
+      data.entries.filter((e) => Array.isArray(e)).map(([k, rec]) => [k, rec && typeof rec === "object" ? rec : {}])
+    );
+  }
+  return null;
+}
+
+// Keys whose stored data couldn't be read: they load as empty and are never written over, so a
+// newer app (or a fix) can still read them.
+const unreadableCaught = new Set();
+
+// `key` picks the collection, e.g. storeKeys(profileId).caught or .shiny
+function loadCaught(key) {
+  let caught = null;
+  let data = null;
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return new Map();
+    data = JSON.parse(raw);
+    caught = caughtFromJSON(data);
+  } catch {}
+  if (!caught) {
+    unreadableCaught.add(key);
+    return new Map();
+  }
+  if (Array.isArray(data)) saveCaught(caught, key);
+  return caught;
+}
+// false when nothing was written (unreadable key, or storage full/unavailable)
+function saveCaught(caught, key) {
+  if (unreadableCaught.has(key)) return false;
+  try {
+    localStorage.setItem(key, JSON.stringify({ v: CATCH_SCHEMA_VERSION, entries: Array.from(caught) }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+const caughtSaveProblem = (keys) =>
+  unreadableCaught.has(keys.caught) || unreadableCaught.has(keys.shiny)
+    ? "Saved progress for this profile is in a format this version can't read, so changes aren't being saved (to keep it intact). Update the app."
+    : null;
+
+// Small JSON prefs (dex mode, forms toggle, caches…). Never throws.
+function loadPref(key, fallback) {
   try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return new Set();
-    const arr = JSON.parse(raw);
-    return new Set(Array.isArray(arr) ? arr : []);
+    const raw = localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
   } catch {
-    return new Set();
+    return fallback;
+  }
+}
+function savePref(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {}
+}
+
+try {
+  for (const k of LS_LEGACY_CACHE_KEYS) localStorage.removeItem(k);
+} catch {}
+
+function loadDexKey(storageKey) {
+  const key = loadPref(storageKey, "national");
+  return DEX_MODES.some((d) => d.key === key) ? key : "national";
+}
+
+// ---------- Profiles ----------
+// Each profile owns a namespace: livingDex:p:{profileId}:{field}.
+// livingDex:profiles holds { activeId, profiles: [{ id, name, createdAt }] }.
+const DEFAULT_PROFILE_ID = "default";
+
+function storeKeys(profileId) {
+  const ns = `livingDex:p:${profileId}:`;
+  return {
+    caught: ns + "caught",
+    shiny: ns + "caught:shiny",
+    shinyMode: ns + "shinyMode",
+    dex: ns + "dex",
+    forms: ns + "forms",
+    boxes: ns + "boxes",
+    plannerVersion: ns + "plannerVersion",
+    ownedGames: ns + "ownedGames",
+    savedSearches: ns + "savedSearches",
+    lists: ns + "lists",
+    activity: ns + "activity",
+    achievements: ns + "achievements",
+    sync: ns + "sync",
+    syncState: ns + "syncState",
+  };
+}
+
+// Fields a duplicated profile starts without: a copy syncing into the same document would fight it.
+const UNCOPIED_FIELDS = ["sync", "syncState"];
+
+const LEGACY_KEYS = { caught: LS_KEY, shiny: LS_SHINY_KEY, shinyMode: LS_SHINY_MODE_KEY, dex: LS_DEX_KEY, forms: LS_FORMS_KEY };
+
+function loadProfiles() {
+  const stored = loadPref(LS_PROFILES_KEY, null);
+  if (stored?.profiles?.length) {
+    const activeId = stored.profiles.some((p) => p.id === stored.activeId) ? stored.activeId : stored.profiles[0].id;
+    return { ...stored, activeId };
   }
+
+  // First run with profiles: move the old single save into "Default".
+  const keys = storeKeys(DEFAULT_PROFILE_ID);
+  try {
+    for (const [field, legacy] of Object.entries(LEGACY_KEYS)) {
+      const raw = localStorage.getItem(legacy);
+      if (raw == null) continue;
+      localStorage.setItem(keys[field], raw);
+      localStorage.removeItem(legacy);
+    }
+  } catch {}
+  const state = {
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: "Default", createdAt: new Date().toISOString() }],
+  };
+  savePref(LS_PROFILES_KEY, state);
+  return state;
+}
+
+const newProfileId = () => `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Every stored key belonging to a profile (so copy/delete also cover fields added later).
+function profileStorageKeys(profileId) {
+  const prefix = `livingDex:p:${profileId}:`;
+  const out = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k?.startsWith(prefix)) out.push(k);
+    }
+  } catch {}
+  return out;
 }
-function saveCaught(set) {
+
+function copyProfileData(fromId, toId) {
+  const from = `livingDex:p:${fromId}:`;
+  try {
+    for (const k of profileStorageKeys(fromId)) {
+      const field = k.slice(from.length);
+      if (UNCOPIED_FIELDS.includes(field)) continue;
+      localStorage.setItem(`livingDex:p:${toId}:` + field, localStorage.getItem(k));
+    }
+  } catch {}
+}
+
+function deleteProfileData(profileId) {
   try {
-    localStorage.setItem(LS_KEY, JSON.stringify(Array.from(set)));
+    for (const k of profileStorageKeys(profileId)) localStorage.removeItem(k);
   } catch {}
 }
 
@@ -79,6 +279,39 @@ function playCatchSfx() {
   }
 }
 
+// Achievement jingle: `notes` (Hz) one after another, the last one held (see ACHIEVEMENT_KINDS).
+function playJingle(notes) {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const ctx = new AudioCtx();
+    const now = ctx.currentTime;
+    const step = 0.12;
+
+    notes.forEach((freq, i) => {
+      const last = i === notes.length - 1;
+      const t = now + i * step;
+      const len = last ? 0.45 : step;
+      const o = ctx.createOscillator();
+      const g = ctx.createGain();
+
+      o.type = last ? "triangle" : "square";
+      o.frequency.setValueAtTime(freq, t);
+      g.gain.setValueAtTime(0.0001, t);
+      g.gain.exponentialRampToValueAtTime(last ? 0.2 : 0.12, t + 0.015);
+      g.gain.exponentialRampToValueAtTime(0.0001, t + len);
+
+      o.connect(g);
+      g.connect(ctx.destination);
+      o.start(t);
+      o.stop(t + len + 0.02);
+    });
+
+    setTimeout(() => ctx.close(), (notes.length * step + 0.6) * 1000);
+  } catch {
+    // ignore
+  }
+}
+
 function titleCase(s) {
   return s
     .split(/[-\s_]+/)
@@ -131,24 +364,663 @@ const VERSION_LABELS = {
 
 const versionLabel = (v) => VERSION_LABELS[v] || titleCase(v);
 
+// Owned games first, keeping the original order otherwise.
+const ownedFirst = (versions, owned) => [...versions.filter((v) => owned.includes(v)), ...versions.filter((v) => !owned.includes(v))];
+
+// Which list the carousel/list are built from.
+// - national: the full National Dex (numbered by national id)
+// - generation: species introduced in that generation (still national numbering)
+// - pokedex: a regional PokeAPI pokedex, numbered by its own entry_number
+const DEX_MODES = [
+  { key: "national", label: "National", group: "National" },
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map((n) => ({ key: `gen-${n}`, label: `Generation ${n}`, group: "Generation", generation: n })),
+  { key: "kanto", label: "Kanto", group: "Regional", pokedex: "kanto" },
+  { key: "johto", label: "Johto", group: "Regional", pokedex: "updated-johto" },
+  { key: "hoenn", label: "Hoenn", group: "Regional", pokedex: "updated-hoenn" },
+  { key: "sinnoh", label: "Sinnoh", group: "Regional", pokedex: "extended-sinnoh" },
+  { key: "unova", label: "Unova", group: "Regional", pokedex: "updated-unova" },
+  { key: "kalos-central", label: "Kalos (Central)", group: "Regional", pokedex: "kalos-central" },
+  { key: "kalos-coastal", label: "Kalos (Coastal)", group: "Regional", pokedex: "kalos-coastal" },
+  { key: "kalos-mountain", label: "Kalos (Mountain)", group: "Regional", pokedex: "kalos-mountain" },
+  { key: "alola", label: "Alola", group: "Regional", pokedex: "updated-alola" },
+  { key: "galar", label: "Galar", group: "Regional", pokedex: "galar" },
+  { key: "isle-of-armor", label: "Isle of Armor", group: "Regional", pokedex: "isle-of-armor" },
+  { key: "crown-tundra", label: "Crown Tundra", group: "Regional", pokedex: "crown-tundra" },
+  { key: "hisui", label: "Hisui", group: "Regional", pokedex: "hisui" },
+  { key: "paldea", label: "Paldea", group: "Regional", pokedex: "paldea" },
+  { key: "kitakami", label: "Kitakami", group: "Regional", pokedex: "kitakami" },
+  { key: "blueberry", label: "Blueberry", group: "Regional", pokedex: "blueberry" },
+];
+
+// Last national id of each generation (1–9).
+const GEN_LAST_ID = [151, 251, 386, 493, 649, 721, 809, 905, 1025];
+const generationOf = (id) => {
+  const i = GEN_LAST_ID.findIndex((last) => id <= last);
+  return i < 0 ? GEN_LAST_ID.length : i + 1;
+};
+
+const dexMode = (key) => DEX_MODES.find((d) => d.key === key) || DEX_MODES[0];
+
+// "#0025" style label. Regional dexes are shorter, but 4 digits keeps columns aligned.
+const dexNo = (n) => `#${String(n).padStart(4, "0")}`;
+
+// Picks the normal or shiny artwork for an entry (falls back to the small sprite).
+const spriteOf = (p, shiny) =>
+  spriteUrl(shiny ? p.shinySprite || p.shinySpriteFallback || p.sprite : p.sprite || p.spriteFallback);
+
+// ---------- Data source ----------
+// Where PokeAPI data and sprites come from:
+// - pokeapi: the public API + the PokeAPI/sprites repo on GitHub,
+// - mirror: a self-hosted PokeAPI with the same routes (?limit=… works),
+// - static: a PokeAPI static dump (api-data layout: {apiBase}pokemon/25/index.json) — plain files,
+//   no server logic, so it also works as a fixture set. Files are by numeric id only; routes by
+//   name are looked up in the resource's list file first (see fetchApi).
+// spriteBase is the root of a sprites checkout (the folder holding "sprites/pokemon/…").
+// Changing the source reloads the page; nothing below expects it to change at runtime.
+const POKEAPI_BASE = "https://pokeapi.co/api/v2/";
+const POKEAPI_SPRITES = "https://raw.githubusercontent.com/PokeAPI/sprites/master/";
+const LS_DATA_SOURCE_KEY = "livingDex:dataSource";
+
+const DATA_SOURCE_KINDS = {
+  pokeapi: "PokeAPI (online)",
+  mirror: "Self-hosted PokeAPI",
+  static: "Static dump (JSON files)",
+};
+const DEFAULT_DATA_SOURCE = { kind: "pokeapi", apiBase: POKEAPI_BASE, spriteBase: POKEAPI_SPRITES };
+
+function normalizeDataSource(src) {
+  if (!src || !DATA_SOURCE_KINDS[src.kind] || src.kind === "pokeapi") return DEFAULT_DATA_SOURCE;
+  const dir = (u, fallback) => {
+    const s = String(u || "").trim() || fallback;
+    return s.endsWith("/") ? s : s + "/";
+  };
+  return { kind: src.kind, apiBase: dir(src.apiBase, POKEAPI_BASE), spriteBase: dir(src.spriteBase, POKEAPI_SPRITES) };
+}
+
+// A deployment can pin its source before the app loads: window.LIVING_DEX_DATA_SOURCE = { kind, apiBase, spriteBase }.
+const pinnedDataSource = typeof window !== "undefined" ? window.LIVING_DEX_DATA_SOURCE || null : null;
+const dataSource = normalizeDataSource(pinnedDataSource || loadPref(LS_DATA_SOURCE_KEY, null));
+
+// "pokemon/25", "pokemon?limit=1025&offset=0", or a resource URL found in another response
+// (always PokeAPI-shaped: ".../api/v2/pokemon-species/25/") -> URL on the active source.
+function apiUrl(pathOrUrl) {
+  const path = String(pathOrUrl).replace(/^.*?\/api\/v2\//, "").replace(/^\//, "");
+  if (dataSource.kind !== "static") return dataSource.apiBase + path;
+  // Static dumps can't do query strings: list files already hold every result.
+  const route = path.split("?")[0].replace(/\/$/, "");
+  return `${dataSource.apiBase}${route}/index.json`;
+}
+
+// "sprites/pokemon/25.png", or a PokeAPI sprite URL from API data -> URL on the active sprite host.
+function spriteUrl(pathOrUrl) {
+  if (!pathOrUrl || pathOrUrl.startsWith(dataSource.spriteBase)) return pathOrUrl;
+  const path = pathOrUrl.startsWith(POKEAPI_SPRITES) ? pathOrUrl.slice(POKEAPI_SPRITES.length) : pathOrUrl;
+  return /^([a-z]+:|\/)/.test(path) ? path : dataSource.spriteBase + path;
+}
+
+// ---------- Response cache (IndexedDB) ----------
+// Every fetchJSON response lands here: { url, data, size, fetchedAt, accessedAt }.
+// Past its TTL an entry is still served, and refreshed in the background (stale-while-revalidate),
+// so the dex keeps working offline. Least recently used entries go once we pass CACHE_MAX_BYTES.
+const CACHE_DB_NAME = "livingDex-cache";
+const CACHE_STORE = "responses";
+const CACHE_MAX_BYTES = 50 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First match wins. Lists and encounters change more often than species data.
+const CACHE_TTLS = [
+  [/[?&](limit|offset)=/, 1 * DAY_MS],
+  [/\/encounters(\/index\.json)?$/, 7 * DAY_MS],
+  [/\/(pokemon|pokemon-species|pokemon-form|evolution-chain|type)\//, 30 * DAY_MS],
+  [/\/(pokedex|generation|version|version-group)\//, 30 * DAY_MS],
+];
+const DEFAULT_TTL = 7 * DAY_MS;
+
+const ttlFor = (url) => (CACHE_TTLS.find(([re]) => re.test(url)) || [null, DEFAULT_TTL])[1];
+
+let cacheDbPromise = null;
+
+// Resolves null where IndexedDB is missing or blocked (private mode…); the cache is then a no-op.
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve) => {
+      try {
+        const req = indexedDB.open(CACHE_DB_NAME, 1);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(CACHE_STORE, { keyPath: "url" });
+          store.createIndex("accessedAt", "accessedAt");
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return cacheDbPromise;
+}
+
+// Runs fn(store) in one transaction; resolves with whatever fn put in `out.value`.
+async function withCacheStore(mode, fn) {
+  const db = await openCacheDb();
+  if (!db) return undefined;
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(CACHE_STORE, mode);
+      const out = {};
+      fn(tx.objectStore(CACHE_STORE), out);
+      tx.oncomplete = () => resolve(out.value);
+      tx.onerror = tx.onabort = () => resolve(undefined);
+    } catch {
+      resolve(undefined);
+    }
+  });
+}
+
+// Reads are readonly so they run side by side; their accessedAt bumps (for LRU eviction) are
+// collected here and written in one transaction a little later.
+const CACHE_TOUCH_DELAY_MS = 2000;
+const cacheTouches = new Map(); // url -> accessed at
+let touchTimer = null;
+
+function cacheGet(url) {
+  return withCacheStore("readonly", (store, out) => {
+    const req = store.get(url);
+    req.onsuccess = () => {
+      const hit = req.result;
+      if (!hit) return;
+      out.value = hit;
+      cacheTouches.set(url, Date.now());
+      if (!touchTimer) touchTimer = setTimeout(flushCacheTouches, CACHE_TOUCH_DELAY_MS);
+    };
+  });
+}
+
+function flushCacheTouches() {
+  touchTimer = null;
+  const touches = Array.from(cacheTouches);
+  cacheTouches.clear();
+  return withCacheStore("readwrite", (store) => {
+    for (const [url, accessedAt] of touches) {
+      const req = store.get(url);
+      req.onsuccess = () => req.result && req.result.accessedAt < accessedAt && store.put({ ...req.result, accessedAt });
+    }
+  });
+}
+
+let evictTimer = null;
+
+function cachePut(url, data) {
+  const now = Date.now();
+  const size = JSON.stringify(data).length;
+  // Batch evictions: a dex load writes hundreds of entries in a row.
+  clearTimeout(evictTimer);
+  evictTimer = setTimeout(evictCache, 3000);
+  return withCacheStore("readwrite", (store) => store.put({ url, data, size, fetchedAt: now, accessedAt: now }));
+}
+
+// Drops least recently used entries until the total fits CACHE_MAX_BYTES.
+function evictCache() {
+  return withCacheStore("readwrite", (store, out) => {
+    let total = 0;
+    const byAge = [];
+    store.index("accessedAt").openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (cursor) {
+        total += cursor.value.size || 0;
+        byAge.push([cursor.value.url, cursor.value.size || 0]);
+        cursor.continue();
+        return;
+      }
+      let removed = 0;
+      for (const [url, size] of byAge) {
+        if (total <= CACHE_MAX_BYTES) break;
+        store.delete(url);
+        total -= size;
+        removed += 1;
+      }
+      out.value = removed;
+    };
+  });
+}
+
+// { count, bytes } — bytes are approximate (JSON length).
+async function cacheStats() {
+  const stats = await withCacheStore("readonly", (store, out) => {
+    const s = { count: 0, bytes: 0 };
+    store.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) {
+        out.value = s;
+        return;
+      }
+      s.count += 1;
+      s.bytes += cursor.value.size || 0;
+      cursor.continue();
+    };
+  });
+  return stats || { count: 0, bytes: 0 };
+}
+
+// Clears cached responses plus everything derived from them in localStorage (caught data stays).
+async function clearCaches() {
+  await withCacheStore("readwrite", (store) => store.clear());
+  const derived = [
+    LS_FORMS_CACHE_KEY,
+    LS_PLANNER_CACHE_PREFIX,
+    LS_EVOLVES_FROM_CACHE_KEY,
+    LS_ENCOUNTER_VERSIONS_CACHE_KEY,
+    LS_VERSION_DEX_CACHE_KEY,
+    LS_TYPES_CACHE_KEY,
+    LS_SPECIES_FLAGS_CACHE_KEY,
+    ...LS_LEGACY_CACHE_KEYS,
+  ];
+  try {
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const k = localStorage.key(i);
+      if (derived.some((d) => k?.startsWith(d))) localStorage.removeItem(k);
+    }
+  } catch {}
+  encounterMemo.clear();
+}
+
+const formatBytes = (n) =>
+  n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : n >= 1024 ? `${Math.round(n / 1024)} KB` : `${n} B`;
+
+// ---------- Request layer ----------
+// Every network call goes through requestJSON:
+// - at most NET_MAX_CONCURRENT requests in flight (the rest wait in line),
+// - 429/5xx and network errors retry with exponential backoff (or Retry-After),
+// - callers asking for the same URL share one request,
+// - callers pass an AbortSignal; the request itself is only aborted once nobody wants it.
+const NET_MAX_CONCURRENT = 8;
+const NET_RETRIES = 4;
+const NET_BACKOFF_MS = 500;
+const NET_BACKOFF_MAX_MS = 8000;
+
+class HttpError extends Error {
+  constructor(status, url) {
+    super(`HTTP ${status}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+  }
+}
+
+const abortError = () => new DOMException("Aborted", "AbortError");
+const isAbortError = (e) => e?.name === "AbortError";
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Resolves after `ms`, or rejects early when `signal` aborts.
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+let netActive = 0;
+const netQueue = []; // waiting starters, FIFO
+
+// Runs fn once a slot is free. Aborting while queued leaves the line without running fn.
+function withNetSlot(fn, signal) {
+  return new Promise((resolve, reject) => {
+    const start = () => {
+      signal?.removeEventListener("abort", onAbort);
+      netActive += 1;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          netActive -= 1;
+          netQueue.shift()?.();
+        });
+    };
+    const onAbort = () => {
+      const i = netQueue.indexOf(start);
+      if (i >= 0) netQueue.splice(i, 1);
+      reject(abortError());
+    };
+    if (signal?.aborted) return reject(abortError());
+    if (netActive < NET_MAX_CONCURRENT) return start();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    netQueue.push(start);
+  });
+}
+
+async function fetchWithRetry(url, signal) {
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    try {
+      res = await withNetSlot(() => fetch(url, { signal }), signal);
+    } catch (e) {
+      if (isAbortError(e) || attempt >= NET_RETRIES) throw e;
+    }
+    if (res?.ok) return res.json();
+    if (res && (!isRetryableStatus(res.status) || attempt >= NET_RETRIES)) throw new HttpError(res.status, url);
+
+    const retryAfter = Number(res?.headers?.get?.("Retry-After"));
+    const backoff = Math.min(NET_BACKOFF_MAX_MS, NET_BACKOFF_MS * 2 ** attempt) + Math.random() * 250;
+    await wait(retryAfter > 0 ? retryAfter * 1000 : backoff, signal);
+  }
+}
+
+const inflight = new Map(); // url -> { promise, controller, users }
+
+function requestJSON(url, { signal } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  let entry = inflight.get(url);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, users: 0, settled: false };
+    const own = entry;
+    own.promise = fetchWithRetry(url, controller.signal).finally(() => {
+      own.settled = true;
+      if (inflight.get(url) === own) inflight.delete(url);
+    });
+    own.promise.catch(() => {}); // callers may all have left; don't report it as unhandled
+    inflight.set(url, entry);
+  }
+
+  entry.users += 1;
+  const shared = entry;
+  return new Promise((resolve, reject) => {
+    let left = false;
+    const leave = () => {
+      if (left) return;
+      left = true;
+      signal?.removeEventListener("abort", onAbort);
+      shared.users -= 1;
+    };
+    const onAbort = () => {
+      leave();
+      if (!shared.users && !shared.settled) shared.controller.abort();
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    shared.promise.then(
+      (data) => {
+        leave();
+        resolve(data);
+      },
+      (e) => {
+        leave();
+        reject(e);
+      }
+    );
+  });
+}
+
 // ---------- PokeAPI helpers ----------
-async function fetchJSON(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+async function fetchNetworkJSON(url, opts) {
+  const data = await requestJSON(url, opts);
+  cachePut(url, data);
+  return data;
+}
+
+// Static dumps (see "Data source") name files by id, and each resource's list file
+// ({apiBase}pokedex/index.json) holds every entry's name and URL: resource -> Promise<Map(name -> id)>.
+// Shared by every caller, so it isn't tied to any one caller's signal.
+const staticIndexes = new Map();
+
+function staticIndex(resource) {
+  if (!staticIndexes.has(resource)) {
+    const index = fetchJSON(apiUrl(resource)).then((list) => new Map((list.results || []).map((r) => [r.name, idFromUrl(r.url)])));
+    index.catch(() => staticIndexes.delete(resource)); // try again next time
+    staticIndexes.set(resource, index);
+  }
+  return staticIndexes.get(resource);
+}
+
+// fetchJSON for "resource/idOrName[/sub]" routes; on a static dump, names become ids first.
+async function fetchApi(path, opts = {}) {
+  const m = dataSource.kind === "static" && path.match(/^([a-z0-9-]+)\/([^/?]+)(\/.*)?$/);
+  if (m && !/^\d+$/.test(m[2])) {
+    const id = (await staticIndex(m[1])).get(m[2]);
+    if (opts.signal?.aborted) throw abortError();
+    if (id == null) throw new HttpError(404, apiUrl(path));
+    path = `${m[1]}/${id}${m[3] || ""}`;
+  }
+  return fetchJSON(apiUrl(path), opts);
+}
+
+async function fetchJSON(url, opts = {}) {
+  const hit = await cacheGet(url);
+  if (opts.signal?.aborted) throw abortError();
+  if (hit) {
+    if (Date.now() - hit.fetchedAt > ttlFor(url)) fetchNetworkJSON(url).catch(() => {});
+    return hit.data;
+  }
+  return fetchNetworkJSON(url, opts);
+}
+
+async function fetchPokemon(id, opts) {
+  return fetchApi(`pokemon/${id}`, opts);
+}
+
+async function fetchSpecies(id, opts) {
+  return fetchApi(`pokemon-species/${id}`, opts);
 }
 
-async function fetchPokemon(id) {
-  return fetchJSON(`https://pokeapi.co/api/v2/pokemon/${id}`);
+async function fetchVersion(name, opts) {
+  return fetchApi(`version/${name}`, opts);
 }
 
-async function fetchSpecies(id) {
-  return fetchJSON(`https://pokeapi.co/api/v2/pokemon-species/${id}`);
+async function fetchVersionGroup(name, opts) {
+  return fetchApi(`version-group/${name}`, opts);
 }
 
-async function fetchEncounters(id) {
+async function fetchEncounters(id, opts) {
   // Returns array with location_area + version_details
-  return fetchJSON(`https://pokeapi.co/api/v2/pokemon/${id}/encounters`);
+  return fetchApi(`pokemon/${id}/encounters`, opts);
+}
+
+async function fetchEvolutionChain(url, opts) {
+  // Species data links its chain by full URL
+  return fetchJSON(apiUrl(url), opts);
+}
+
+async function fetchForm(name, opts) {
+  return fetchApi(`pokemon-form/${name}`, opts);
+}
+
+// All species names -> national id, for resolving imported spreadsheets.
+async function fetchSpeciesIndex(opts) {
+  const list = await fetchJSON(apiUrl(`pokemon-species?limit=${DEX_MAX}&offset=0`), opts);
+  return (list.results || []).map((r) => [r.name, idFromUrl(r.url)]).filter(([, id]) => id);
+}
+
+async function fetchPokedex(name, opts) {
+  return fetchApi(`pokedex/${name}`, opts);
+}
+
+async function fetchGeneration(id, opts) {
+  return fetchApi(`generation/${id}`, opts);
+}
+
+async function fetchType(name, opts) {
+  return fetchApi(`type/${name}`, opts);
+}
+
+// ".../pokemon-species/25/" -> 25
+function idFromUrl(url) {
+  const m = String(url || "").match(/\/(\d+)\/?$/);
+  return m ? Number(m[1]) : null;
+}
+
+// Builds the entry list for a dex mode: [{ id, dexNumber, name }]
+// `id` is always the national species id (that's what caught data is keyed by),
+// `dexNumber` is what the chosen dex calls it.
+async function fetchDexEntries(mode, opts) {
+  if (mode.pokedex) {
+    const dex = await fetchPokedex(mode.pokedex, opts);
+    return (dex.pokemon_entries || [])
+      .map((e) => ({
+        id: idFromUrl(e.pokemon_species?.url),
+        dexNumber: e.entry_number,
+        name: e.pokemon_species?.name,
+      }))
+      .filter((e) => e.id && e.name)
+      .sort((a, b) => a.dexNumber - b.dexNumber);
+  }
+
+  if (mode.generation) {
+    // Generation lists come back unordered, so sort by national id.
+    const gen = await fetchGeneration(mode.generation, opts);
+    return (gen.pokemon_species || [])
+      .map((s) => ({ id: idFromUrl(s.url), name: s.name }))
+      .filter((e) => e.id && e.name)
+      .sort((a, b) => a.id - b.id)
+      .map((e) => ({ ...e, dexNumber: e.id }));
+  }
+
+  // National: use the paginated list endpoint, then build ids.
+  const list = await fetchJSON(apiUrl(`pokemon?limit=${DEX_MAX}&offset=0`), opts);
+  // (static dumps return every pokemon incl. alternate forms, hence the slice)
+  return list.results.slice(0, DEX_MAX).map((r, i) => ({ id: i + 1, dexNumber: i + 1, name: r.name }));
+}
+
+// Run `fn` over `list` with at most `limit` in flight. Results keep input order.
+async function mapPool(list, limit, fn, onProgress) {
+  const out = new Array(list.length);
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+      onProgress?.(++done, list.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return out;
+}
+
+// ---------- Forms dex ----------
+// In forms mode every form worth its own box slot becomes an entry ("slot").
+// Slot keys: the species' default form keeps the plain species id (so normal-mode
+// caught data carries over), every other form uses its PokeAPI form/pokemon name.
+//
+// Varieties that only exist mid-battle (or can't be stored) are skipped by name;
+// multi-form Pokémon (Unown, Vivillon…) are filtered by pokemon-form.is_battle_only.
+const BATTLE_ONLY_FORM =
+  /-(mega|mega-[xy]|gmax|primal|totem(-\w+)*|eternamax|starter|zen|galar-zen|blade|school|busted|hangry|noice|gulping|gorging|ultra|pirouette|complete|hero|stellar|terastal|ash|battle-bond|\w+-build|\w+-mode)$/;
+
+function englishFormName(form) {
+  return (form?.form_names || []).find((n) => n.language?.name === "en")?.name || "";
+}
+
+function formSuffixLabel(name, speciesName) {
+  if (!name || name === speciesName) return "";
+  return titleCase(name.startsWith(speciesName + "-") ? name.slice(speciesName.length + 1) : name);
+}
+
+// Returns the slots for one species (without dex numbering), default form first.
+async function fetchFormSlots(entry, opts) {
+  const { id, name: speciesName } = entry;
+  const species = await fetchSpecies(id, opts);
+  const varieties = (species.varieties || [])
+    .filter((v) => v.is_default || !BATTLE_ONLY_FORM.test(v.pokemon?.name || ""))
+    .sort((a, b) => Number(b.is_default) - Number(a.is_default));
+
+  const slots = [];
+  for (const v of varieties) {
+    const mon = await fetchPokemon(v.pokemon.name, opts);
+    const art = mon.sprites?.other?.["official-artwork"]?.front_default;
+    const shinyArt = mon.sprites?.other?.["official-artwork"]?.front_shiny;
+    const forms = mon.forms || [];
+
+    if (forms.length > 1) {
+      // Cosmetic forms: Unown letters, Vivillon patterns, Alcremie sweets…
+      for (const f of forms) {
+        const form = await fetchForm(f.name, opts);
+        if (form.is_battle_only) continue;
+        slots.push({
+          key: v.is_default && form.is_default ? id : form.name,
+          pokemon: mon.name,
+          formLabel: englishFormName(form) || formSuffixLabel(form.name, speciesName),
+          sprite: form.sprites?.front_default || art,
+          spriteFallback: form.sprites?.front_default || mon.sprites?.front_default,
+          shinySprite: form.sprites?.front_shiny || shinyArt,
+          shinySpriteFallback: form.sprites?.front_shiny || mon.sprites?.front_shiny,
+        });
+      }
+    } else {
+      slots.push({
+        key: v.is_default ? id : mon.name,
+        pokemon: mon.name,
+        formLabel: formSuffixLabel(mon.name, speciesName),
+        sprite: art || mon.sprites?.front_default,
+        spriteFallback: mon.sprites?.front_default,
+        shinySprite: shinyArt || mon.sprites?.front_shiny,
+        shinySpriteFallback: mon.sprites?.front_shiny,
+      });
+    }
+
+    if (v.is_default && species.has_gender_differences && mon.sprites?.front_female) {
+      slots.push({
+        key: `${mon.name}-female`,
+        pokemon: mon.name,
+        formLabel: "Female",
+        sprite: mon.sprites.front_female,
+        spriteFallback: mon.sprites.front_female,
+        shinySprite: mon.sprites.front_shiny_female || mon.sprites.front_female,
+        shinySpriteFallback: mon.sprites.front_shiny_female,
+      });
+    }
+  }
+
+  const seen = new Set();
+  return slots.filter((s) => !seen.has(s.key) && seen.add(s.key));
+}
+
+// Expands dex entries into form slots. Per-species results are cached in
+// localStorage since they only change when PokeAPI adds forms.
+// Returns { slots, failed } where failed lists species that fell back to a single slot.
+async function buildFormSlots(entries, { signal, onProgress }) {
+  const cache = loadPref(LS_FORMS_CACHE_KEY, {});
+  const failed = [];
+  try {
+    const perSpecies = await mapPool(
+      entries,
+      6,
+      async (entry) => {
+        if (signal?.aborted) return null;
+        if (cache[entry.id]) return cache[entry.id];
+        try {
+          const slots = await fetchFormSlots(entry, { signal });
+          cache[entry.id] = slots;
+          return slots;
+        } catch (e) {
+          if (!isAbortError(e)) failed.push(entry.id);
+          return null; // fall back to the plain species slot below
+        }
+      },
+      onProgress
+    );
+
+    const slots = entries.flatMap((entry, i) => {
+      const slots = perSpecies[i]?.length ? perSpecies[i] : [{ key: entry.id, formLabel: "" }];
+      return slots.map((slot, formIndex) => ({
+        ...entry,
+        ...slot,
+        formIndex,
+        formCount: slots.length,
+      }));
+    });
+    return { slots, failed };
+  } finally {
+    savePref(LS_FORMS_CACHE_KEY, cache);
+  }
 }
 
 function bestEnglishFlavor(species) {
@@ -166,390 +1038,4081 @@ function bestEnglishFlavor(species) {
   return en[en.length - 1].flavor_text.replace(/\s+/g, " ").trim();
 }
 
+const ENCOUNTER_METHOD_LABELS = {
+  "walk": "Walking",
+  "surf": "Surfing",
+  "old-rod": "Old Rod",
+  "good-rod": "Good Rod",
+  "super-rod": "Super Rod",
+  "rock-smash": "Rock Smash",
+  "headbutt": "Headbutt",
+  "dark-grass": "Dark Grass",
+  "grass-spots": "Rustling Grass",
+  "cave-spots": "Dust Cloud",
+  "bridge-spots": "Bridge Shadow",
+  "surf-spots": "Rippling Water",
+  "super-rod-spots": "Super Rod (Ripples)",
+  "gift": "Gift",
+  "gift-egg": "Gift Egg",
+  "only-one": "One-time Encounter",
+  "pokeflute": "Poké Flute",
+  "npc-trade": "In-game Trade",
+};
+const methodLabel = (m) => ENCOUNTER_METHOD_LABELS[m] || titleCase(m);
+
+const CONDITION_LABELS = {
+  "swarm-yes": "Swarm",
+  "radar-on": "Poké Radar",
+  "story-progress-national-dex": "After National Dex",
+};
+const conditionLabel = (c) => CONDITION_LABELS[c] || titleCase(c.replace(/^(time|season|weather)-/, ""));
+// "swarm-no", "radar-off", "slot2-none"… just mean "normally"; not worth showing.
+const DEFAULT_CONDITION = /-(no|off|none)$/;
+
 function normalizeEncounterData(encArr) {
-  // Returns: { versions: [versionName], byVersion: { [versionName]: [locationAreaName...] } }
+  // Returns: { versions: [versionName], byVersion: { [versionName]: [area] } } where
+  //   area = { location: locationAreaName, maxChance, encounters: [{ method, minLevel, maxLevel, chance, conditions }] }
+  // Slots with the same method + conditions are merged: level ranges widen, chances add up.
   const byVersion = {};
   for (const row of encArr || []) {
     const loc = row.location_area?.name;
     for (const vd of row.version_details || []) {
       const v = vd.version?.name;
       if (!v || !loc) continue;
-      if (!byVersion[v]) byVersion[v] = new Set();
-      byVersion[v].add(loc);
+      if (!byVersion[v]) byVersion[v] = new Map();
+      if (!byVersion[v].has(loc)) byVersion[v].set(loc, new Map());
+      const area = byVersion[v].get(loc);
+
+      for (const d of vd.encounter_details || []) {
+        const method = d.method?.name || "unknown";
+        const conditions = (d.condition_values || [])
+          .map((c) => c.name)
+          .filter((c) => c && !DEFAULT_CONDITION.test(c))
+          .sort();
+        const id = `${method}|${conditions.join(",")}`;
+        const e = area.get(id) || { method, minLevel: Infinity, maxLevel: 0, chance: 0, conditions };
+        e.minLevel = Math.min(e.minLevel, d.min_level ?? e.minLevel);
+        e.maxLevel = Math.max(e.maxLevel, d.max_level ?? 0);
+        e.chance = Math.min(100, e.chance + (d.chance || 0));
+        area.set(id, e);
+      }
     }
   }
+
   const versions = Object.keys(byVersion).sort((a, b) => versionLabel(a).localeCompare(versionLabel(b)));
   const normalized = {};
-  for (const v of versions) normalized[v] = Array.from(byVersion[v]).sort();
+  for (const v of versions) {
+    normalized[v] = Array.from(byVersion[v], ([location, area]) => {
+      const encounters = Array.from(area.values())
+        .map((e) => ({ ...e, minLevel: Number.isFinite(e.minLevel) ? e.minLevel : e.maxLevel }))
+        .sort((a, b) => b.chance - a.chance);
+      return { location, encounters, maxChance: Math.max(0, ...encounters.map((e) => e.chance)) };
+    }).sort((a, b) => a.location.localeCompare(b.location));
+  }
   return { versions, byVersion: normalized };
 }
 
+// "Walking · Lv 3–5 · 30% · Night"
+function encounterSummary(e) {
+  const lv = e.minLevel === e.maxLevel ? `Lv ${e.maxLevel}` : `Lv ${e.minLevel}–${e.maxLevel}`;
+  return [methodLabel(e.method), e.maxLevel ? lv : null, e.chance ? `${e.chance}%` : null, ...e.conditions.map(conditionLabel)]
+    .filter(Boolean)
+    .join(" · ");
+}
+
 function prettyLocationArea(name) {
-  return titleCase(name.replace(/-area$/, "").replace(/-\d+$/, ""));
+  // "kanto-route-12-area" -> "Kanto Route 12", "great-marsh-area-3" -> "Great Marsh 3"
+  return titleCase(name.replace(/-area(-(\d+))?$/, " $2"));
 }
 
-// ---------- UI components ----------
-function FuturisticPanel({ children, className = "" }) {
-  return (
-    <div
-      className={
-        "relative overflow-hidden rounded-2xl border border-white/15 bg-white/5 backdrop-blur-xl shadow-[0_0_0_1px_rgba(255,255,255,0.08),0_20px_60px_rgba(0,0,0,0.45)] " +
-        className
-      }
-    >
-      <div className="absolute -left-24 -top-24 h-48 w-48 rounded-full bg-emerald-500/20 blur-3xl" />
-      <div className="absolute -right-24 -bottom-24 h-48 w-48 rounded-full bg-cyan-500/20 blur-3xl" />
-      <div className="relative p-4 md:p-5">{children}</div>
-    </div>
-  );
+// ---------- Catch records ----------
+// `csv` lists spreadsheet header aliases; the first one is what we export.
+const CATCH_FIELDS = [
+  { key: "caughtAt", label: "Date caught", type: "date", csv: ["date_caught", "caught_on", "date"] },
+  { key: "game", label: "Game of origin", type: "game", csv: ["game", "origin", "game_of_origin"] },
+  { key: "ball", label: "Poké Ball", type: "ball", csv: ["ball", "poke_ball", "poké_ball", "pokeball"] },
+  { key: "nickname", label: "Nickname", csv: ["nickname"] },
+  { key: "ot", label: "OT", csv: ["ot", "ot_name", "trainer"] },
+  { key: "tid", label: "Trainer ID", csv: ["trainer_id", "tid", "id_no"] },
+  { key: "level", label: "Level", type: "number", csv: ["level", "lv"] },
+  { key: "storedIn", label: "Stored in", type: "storage", csv: ["stored_in", "storage"] },
+  { key: "box", label: "Box", type: "number", csv: ["box"] },
+  { key: "slot", label: "Slot", type: "number", csv: ["box_slot", "slot"] },
+  { key: "notes", label: "Notes", type: "notes", csv: ["notes", "note", "comments"] },
+];
+
+const POKE_BALLS = [
+  "poke-ball", "great-ball", "ultra-ball", "master-ball", "premier-ball", "heal-ball", "net-ball", "nest-ball",
+  "dive-ball", "dusk-ball", "timer-ball", "quick-ball", "repeat-ball", "luxury-ball", "level-ball", "lure-ball",
+  "moon-ball", "friend-ball", "love-ball", "heavy-ball", "fast-ball", "sport-ball", "safari-ball", "park-ball",
+  "dream-ball", "beast-ball", "cherish-ball", "strange-ball",
+];
+
+const ballLabel = (b) => titleCase(b).replace(/^Poke /, "Poké ");
+const storageLabel = (s) => (s === "home" ? "Pokémon HOME" : versionLabel(s));
+
+function newCatchRecord() {
+  return { caughtAt: new Date().toISOString() };
 }
 
-function GlowButton({ children, onClick, disabled }) {
-  return (
-    <button
-      disabled={disabled}
-      onClick={onClick}
-      className={
-        "group relative inline-flex items-center justify-center rounded-xl px-4 py-2 font-black tracking-wide " +
-        "text-black shadow-[0_10px_30px_rgba(16,185,129,0.35)] transition " +
-        "bg-emerald-400 hover:bg-emerald-300 active:scale-[0.98] disabled:opacity-40 disabled:cursor-not-allowed " +
-        "focus:outline-none focus:ring-2 focus:ring-emerald-300/80"
-      }
-      style={{ fontFamily: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto" }}
-    >
-      <span className="absolute inset-0 -z-10 rounded-xl bg-emerald-400/40 blur-xl opacity-70 group-hover:opacity-90" />
-      {children}
-    </button>
-  );
+// Display/export text for one record field.
+function formatCatchField(field, value) {
+  if (value == null || value === "") return "";
+  if (field.type === "date") return String(value).slice(0, 10);
+  if (field.type === "game") return versionLabel(value);
+  if (field.type === "ball") return ballLabel(value);
+  if (field.type === "storage") return storageLabel(value);
+  return String(value);
 }
 
-function Chip({ children }) {
-  return (
+// Spreadsheet/editor text -> stored value (undefined = clear the field).
+// Game/ball/storage accept either our slugs or their labels ("Let’s Go Pikachu", "Poké Ball", "HOME").
+function parseCatchField(field, raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return undefined;
+  if (field.type === "number") {
+    const n = parseInt(s, 10);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  if (field.type === "game" || field.type === "storage") {
+    const slug = slugName(s);
+    if (field.type === "storage" && /(^|-)home$/.test(slug)) return "home";
+    return Object.keys(VERSION_LABELS).find((v) => v === slug || slugName(VERSION_LABELS[v]) === slug) || slug;
+  }
+  if (field.type === "ball") return slugName(s);
+  return s;
+}
+
+// Applies a patch of parsed values, dropping cleared fields.
+function patchRecord(record, patch) {
+  const next = { ...record, ...patch };
+  for (const k of Object.keys(next)) if (next[k] === undefined) delete next[k];
+  return next;
+}
+
+// "“Sparky” · Lv 50 · Poké Ball · Scarlet · HOME B3/S12"
+function recordSummary(rec) {
+  if (!rec) return "";
+  const parts = [];
+  if (rec.nickname) parts.push(`“${rec.nickname}”`);
+  if (rec.level) parts.push(`Lv ${rec.level}`);
+  if (rec.ball) parts.push(ballLabel(rec.ball));
+  if (rec.game) parts.push(versionLabel(rec.game));
+  if (rec.storedIn) {
+    const where = rec.storedIn === "home" ? "HOME" : versionLabel(rec.storedIn);
+    const pos = [rec.box && `B${rec.box}`, rec.slot && `S${rec.slot}`].filter(Boolean).join("/");
+    parts.push(pos ? `${where} ${pos}` : where);
+  }
+  return parts.join(" · ");
+}
+
+// ---------- Evolution chains ----------
+// Tree of { id, name, details: [evolution_details], children: [node] }; `details` say how the
+// parent evolves into this node (several entries = different methods/games).
+function parseEvolutionChain(chain) {
+  const walk = (node) => ({
+    id: idFromUrl(node.species?.url),
+    name: node.species?.name || "",
+    details: node.evolution_details || [],
+    children: (node.evolves_to || []).map(walk),
+  });
+  return chain ? walk(chain) : null;
+}
+
+function flattenEvolutions(node, parent = null, out = []) {
+  if (!node) return out;
+  out.push({ node, parent });
+  for (const c of node.children) flattenEvolutions(c, node, out);
+  return out;
+}
+
+const RELATIVE_STATS = { 1: "Attack > Defense", 0: "Attack = Defense", "-1": "Attack < Defense" };
+
+// One evolution_details entry -> "Level 36", "Trade holding Metal Coat", "Level up with high friendship (day)"…
+function evolutionDetailText(d) {
+  const trigger = d.trigger?.name;
+  const name = (ref) => titleCase(ref?.name || "");
+  let base;
+  if (trigger === "level-up") base = d.min_level ? `Level ${d.min_level}` : "Level up";
+  else if (trigger === "trade") base = "Trade";
+  else if (trigger === "use-item") base = `Use ${name(d.item)}`;
+  else if (trigger === "shed") base = "Level 20 with a spare slot + Poké Ball";
+  else base = titleCase(trigger || "special");
+
+  const extra = [];
+  if (d.held_item) extra.push(`holding ${name(d.held_item)}`);
+  if (d.trade_species) extra.push(`for ${name(d.trade_species)}`);
+  if (d.known_move) extra.push(`knowing ${name(d.known_move)}`);
+  if (d.known_move_type) extra.push(`knowing a ${name(d.known_move_type)}-type move`);
+  if (d.location) extra.push(`at ${name(d.location)}`);
+  if (d.min_happiness) extra.push("with high friendship");
+  if (d.min_affection) extra.push("with high affection");
+  if (d.min_beauty) extra.push("with high Beauty");
+  if (d.party_species) extra.push(`with ${name(d.party_species)} in the party`);
+  if (d.party_type) extra.push(`with a ${name(d.party_type)}-type in the party`);
+  if (d.relative_physical_stats != null) extra.push(`(${RELATIVE_STATS[d.relative_physical_stats]})`);
+  if (d.gender === 1) extra.push("(female)");
+  if (d.gender === 2) extra.push("(male)");
+  if (d.needs_overworld_rain) extra.push("while it rains");
+  if (d.turn_upside_down) extra.push("holding the console upside down");
+  if (d.time_of_day) extra.push(`(${d.time_of_day})`);
+  return [base, ...extra].join(" ");
+}
+
+const evolutionText = (details) => (details.length ? Array.from(new Set(details.map(evolutionDetailText))).join(" or ") : "");
+
+// How to get `id` without a wild encounter: evolve its parent, or breed a caught relative.
+// Returns [{ text, relativeId }] (relativeId = the Pokémon to use, for jump links).
+function obtainHints(tree, id, { has, breedable }) {
+  const flat = flattenEvolutions(tree);
+  const me = flat.find((f) => f.node.id === id);
+  if (!me) return [];
+  const hints = [];
+
+  if (me.parent) {
+    const how = evolutionText(me.node.details) || "evolving";
+    hints.push({
+      text: has(me.parent.id)
+        ? `Evolve your ${titleCase(me.parent.name)}: ${how}.`
+        : `Evolve ${titleCase(me.parent.name)} (${how}) — you don’t have one yet.`,
+      relativeId: me.parent.id,
+    });
+  }
+
+  if (breedable && flat.length > 1) {
+    const relative = flat.find((f) => f.node.id !== tree.id && has(f.node.id)) || (tree.id !== id && has(tree.id) && flat[0]);
+    const root = titleCase(tree.name);
+    if (relative) {
+      hints.push({
+        text:
+          tree.id === id
+            ? `Breed your ${titleCase(relative.node.name)} — its Eggs hatch into ${root}.`
+            : `Breed your ${titleCase(relative.node.name)} for a ${root} Egg, then evolve it.`,
+        relativeId: relative.node.id,
+      });
+    } else if (!me.parent) {
+      hints.push({ text: "Catch anything in this evolution line and breed it for an Egg.", relativeId: null });
+    }
+  }
+  return hints;
+}
+
+// Small sprite by national species id (evolution trees don't carry our item data).
+const speciesSprite = (id, shiny) => spriteUrl(`sprites/pokemon/${shiny ? "shiny/" : ""}${id}.png`);
+
+// ---------- Hunting planner ----------
+// Session memo of normalized encounter data per species (parallel asks dedupe in requestJSON).
+const encounterMemo = new Map();
+
+async function loadEncounters(id, opts) {
+  if (!encounterMemo.has(id)) encounterMemo.set(id, normalizeEncounterData(await fetchEncounters(id, opts)));
+  return encounterMemo.get(id);
+}
+
+// Areas per species for one game: { [speciesId]: [area] } (area as in normalizeEncounterData).
+// Only uncached species are fetched; the per-version cache lives in localStorage.
+async function gatherVersionEncounters(version, ids, { signal, onProgress }) {
+  const cacheKey = LS_PLANNER_CACHE_PREFIX + version;
+  const cache = loadPref(cacheKey, {});
+  const todo = ids.filter((id) => !cache[id]);
+  const already = ids.length - todo.length;
+  const failed = [];
+  onProgress?.(already, ids.length);
+
+  await mapPool(
+    todo,
+    6,
+    async (id) => {
+      if (signal?.aborted) return;
+      try {
+        cache[id] = (await loadEncounters(id, { signal })).byVersion[version] || [];
+      } catch (e) {
+        if (!isAbortError(e)) failed.push(id);
+      }
+    },
+    (done) => onProgress?.(already + done, ids.length)
+  );
+
+  savePref(cacheKey, cache);
+  return { bySpecies: cache, failed };
+}
+
+// Species -> the species it evolves from (0 = base stage). Walks up so ancestors are known too
+// (a missing Alakazam can still come from a wild Abra). Cached for everyone, like the forms cache.
+// Returns { evolvesFrom, failed }.
+async function gatherEvolvesFrom(ids, { signal }) {
+  const cache = loadPref(LS_EVOLVES_FROM_CACHE_KEY, {});
+  const failed = [];
+  let todo = ids.filter((id) => cache[id] == null);
+  while (todo.length && !signal?.aborted) {
+    await mapPool(todo, 6, async (id) => {
+      if (signal?.aborted) return;
+      try {
+        const sp = await fetchSpecies(id, { signal });
+        cache[id] = idFromUrl(sp.evolves_from_species?.url) || 0;
+      } catch (e) {
+        if (!isAbortError(e)) failed.push(id);
+      }
+    });
+    todo = Array.from(new Set(todo.map((id) => cache[id]).filter((p) => p && cache[p] == null)));
+  }
+  savePref(LS_EVOLVES_FROM_CACHE_KEY, cache);
+  return { evolvesFrom: cache, failed };
+}
+
+// Which of `ids` are wild in each owned game. Returns { wild: { [id]: [version] }, evolvesFrom, failed }
+// or null if cancelled. Ancestors are scanned as well so evolution paths can be checked.
+async function scanOwnedGames(ids, versions, { signal, onProgress }) {
+  const { evolvesFrom, failed: evoFailed } = await gatherEvolvesFrom(ids, { signal });
+  const all = new Set(ids);
+  for (const id of ids) {
+    for (let p = evolvesFrom[id]; p && !all.has(p); p = evolvesFrom[p]) all.add(p);
+  }
+
+  const wild = {};
+  const failed = new Set(evoFailed);
+  for (const [i, version] of versions.entries()) {
+    const res = await gatherVersionEncounters(version, [...all], {
+      signal,
+      onProgress: (done, total) => onProgress?.(i * total + done, versions.length * total),
+    });
+    if (signal?.aborted) return null;
+    res.failed.forEach((id) => failed.add(id));
+    for (const id of all) {
+      if (!(res.bySpecies[id] || []).length) continue;
+      if (!wild[id]) wild[id] = [];
+      wild[id].push(version);
+    }
+  }
+  return { wild, evolvesFrom, failed: [...failed] };
+}
+
+// How species `id` can be had with the owned games: { via: "wild", versions } | { via: "evolve", from } | null.
+// Evolving works from a caught ancestor or one that is itself obtainable.
+function obtainableWith(id, { wild, evolvesFrom, has }, seen = new Set()) {
+  if (wild[id]?.length) return { via: "wild", versions: wild[id] };
+  const from = evolvesFrom[id];
+  if (!from || seen.has(from)) return null;
+  seen.add(from);
+  return has(from) || obtainableWith(from, { wild, evolvesFrom, has }, seen) ? { via: "evolve", from } : null;
+}
+
+// location -> the missing Pokémon found there, best areas (most species covered) first.
+function invertEncounters(bySpecies, missing) {
+  const byLocation = new Map();
+  for (const p of missing) {
+    for (const area of bySpecies[p.id] || []) {
+      if (!byLocation.has(area.location)) byLocation.set(area.location, []);
+      byLocation.get(area.location).push({ pokemon: p, area });
+    }
+  }
+  return Array.from(byLocation, ([location, hits]) => ({
+    location,
+    hits: hits.sort((a, b) => b.area.maxChance - a.area.maxChance),
+  })).sort((a, b) => b.hits.length - a.hits.length || a.location.localeCompare(b.location));
+}
+
+// ---------- Version matrix ----------
+// Cell states, best first. The key is also what the CSV export writes.
+const AVAILABILITY = {
+  exclusive: { label: "Version exclusive (wild)", className: "bg-amber-300/80" },
+  wild: { label: "Catchable in the wild", className: "bg-emerald-400/80" },
+  evolve: { label: "Evolve a wild relative", className: "bg-sky-400/70" },
+  ingame: { label: "In the game’s Pokédex (gift, trade, event…)", className: "bg-white/30" },
+  none: { label: "Unavailable", className: "bg-white/5" },
+};
+
+// Games each species is wild in (the version list of normalizeEncounterData), cached for everyone.
+async function gatherEncounterVersions(ids, { signal, onProgress }) {
+  const cache = loadPref(LS_ENCOUNTER_VERSIONS_CACHE_KEY, {});
+  const todo = ids.filter((id) => !cache[id]);
+  const already = ids.length - todo.length;
+  const failed = [];
+  onProgress?.(already, ids.length);
+
+  await mapPool(
+    todo,
+    6,
+    async (id) => {
+      if (signal?.aborted) return;
+      try {
+        cache[id] = (await loadEncounters(id, { signal })).versions;
+      } catch (e) {
+        if (!isAbortError(e)) failed.push(id);
+      }
+    },
+    (done) => onProgress?.(already + done, ids.length)
+  );
+
+  savePref(LS_ENCOUNTER_VERSIONS_CACHE_KEY, cache);
+  return { versionsOf: cache, failed };
+}
+
+// Per game: the other versions of its version group, and every species in the group's pokedexes.
+// Newer games have little encounter data on PokeAPI, so dex membership is the fallback signal.
+// Returns { dexes, failed } (failed = versions).
+async function gatherVersionDexes(versions, { signal }) {
+  const cache = loadPref(LS_VERSION_DEX_CACHE_KEY, {});
+  const failed = [];
+  await mapPool(
+    versions.filter((v) => !cache[v]),
+    3,
+    async (v) => {
+      if (signal?.aborted) return;
+      try {
+        const group = await fetchVersionGroup((await fetchVersion(v, { signal })).version_group.name, { signal });
+        const dexes = await Promise.all((group.pokedexes || []).map((d) => fetchPokedex(d.name, { signal })));
+        const species = new Set(dexes.flatMap((d) => d.pokemon_entries.map((e) => idFromUrl(e.pokemon_species?.url))));
+        cache[v] = { siblings: group.versions.map((x) => x.name).filter((n) => n !== v), species: [...species] };
+      } catch (e) {
+        if (!isAbortError(e)) failed.push(v);
+      }
+    }
+  );
+  savePref(LS_VERSION_DEX_CACHE_KEY, cache);
+  return { dexes: cache, failed };
+}
+
+// One matrix cell. `dexes` here has species as a Set: { [version]: { siblings, species: Set } }.
+function availabilityIn(id, version, { versionsOf, evolvesFrom, dexes }) {
+  const wildIn = (s, v) => (versionsOf[s] || []).includes(v);
+  if (wildIn(id, version)) {
+    const siblings = dexes[version]?.siblings || [];
+    return siblings.length && !siblings.some((s) => wildIn(id, s)) ? "exclusive" : "wild";
+  }
+  for (let p = evolvesFrom[id]; p; p = evolvesFrom[p]) {
+    if (wildIn(p, version)) return "evolve";
+  }
+  return dexes[version]?.species.has(id) ? "ingame" : "none";
+}
+
+// ---------- Search queries ----------
+// ListView's search box: space-separated terms, all of which must match.
+//   pika           name / form / number contains "pika" (the old plain search)
+//   type:fire      field:value; quote values with spaces (note:"for trade")
+//   -type:water    a leading "-" negates the term
+//   #152-251       dex number (as the current dex numbers it) or range; gen:1-3 works the same
+const POKEMON_TYPES = [
+  "normal", "fire", "water", "grass", "electric", "ice", "fighting", "poison", "ground",
+  "flying", "psychic", "bug", "rock", "ghost", "dragon", "dark", "steel", "fairy",
+];
+const YES_NO = ["yes", "no"];
+
+// hint: shown in autocomplete. values: suggestions (closed = anything else is an error).
+// needs: catalog data the term waits for (see ListView).
+const QUERY_FIELDS = {
+  name: { hint: "name contains" },
+  form: { hint: "form name contains" },
+  type: { hint: "has this type", values: POKEMON_TYPES, closed: true, needs: "types" },
+  gen: { hint: "generation, e.g. gen:3 or gen:1-3", values: GEN_LAST_ID.map((_, i) => String(i + 1)) },
+  caught: { hint: "in the current collection", values: YES_NO },
+  legendary: { hint: "legendary species", values: YES_NO, needs: "flags" },
+  mythical: { hint: "mythical species", values: YES_NO, needs: "flags" },
+  game: { hint: "obtainable there (wild, or by evolving)", values: Object.keys(VERSION_LABELS), closed: true, needs: "games" },
+  note: { hint: "catch notes contain" },
+  ball: { hint: "caught in this ball", values: POKE_BALLS },
+  list: { hint: "in one of your lists" }, // values come from the profile's lists
+};
+
+const isYes = (v) => ["yes", "y", "true", "1"].includes(v);
+
+// "25" -> [25, 25], "152-251" -> [152, 251], "900-" -> [900, Infinity]; null if not a number/range.
+function parseRange(v) {
+  const m = String(v).match(/^(\d+)(?:(-)(\d*))?$/);
+  if (!m) return null;
+  const lo = Number(m[1]);
+  return [lo, m[2] ? (m[3] ? Number(m[3]) : Infinity) : lo];
+}
+
+// Query text -> [{ field, value, negate, range?, invalid? }]. Unknown fields are plain text.
+function parseQuery(text) {
+  const terms = [];
+  for (const m of String(text).matchAll(/(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S*))/gi)) {
+    let field = m[2]?.toLowerCase() || "text";
+    let value = (m[3] ?? m[4] ?? "").toLowerCase();
+    if (field !== "text" && !QUERY_FIELDS[field]) {
+      value = `${field}:${value}`;
+      field = "text";
+    }
+    if (field === "text" && /^#\d/.test(value)) {
+      field = "#";
+      value = value.slice(1);
+    }
+    if (!value) continue; // still typing ("type:") or just whitespace
+    const term = { field, value, negate: !!m[1] };
+    if (field === "#" || field === "gen") {
+      term.range = parseRange(value);
+      if (!term.range) term.invalid = true;
+    }
+    if (QUERY_FIELDS[field]?.closed && !QUERY_FIELDS[field].values.includes(value)) term.invalid = true;
+    terms.push(term);
+  }
+  return terms;
+}
+
+// true/false, or null when the data the term needs hasn't loaded yet (the term is skipped meanwhile).
+// ctx: { caught, typesOf(p) -> [type] | null, flags: { [id]: {legendary, mythical, baby} } | null,
+//        games: { [version]: Set(id) }, lists: { [lowercased name]: Set(key) } }
+function termMatches(t, p, ctx) {
+  const inRange = (n) => n >= t.range[0] && n <= t.range[1];
+  const rec = ctx.caught.get(p.key);
+  const form = (p.formLabel || "").toLowerCase();
+  switch (t.field) {
+    case "text":
+      return (
+        p.name.includes(t.value) ||
+        form.includes(t.value) ||
+        String(p.dexNumber ?? p.id).includes(t.value) ||
+        String(p.id).includes(t.value)
+      );
+    case "name":
+      return p.name.includes(t.value);
+    case "form":
+      return form.includes(t.value);
+    case "#":
+      return inRange(p.dexNumber ?? p.id);
+    case "gen":
+      return inRange(generationOf(p.id));
+    case "caught":
+      return !!rec === isYes(t.value);
+    case "note":
+      return (rec?.notes || "").toLowerCase().includes(t.value);
+    case "ball":
+      return !!rec?.ball && rec.ball.includes(t.value);
+    case "type": {
+      const types = ctx.typesOf(p);
+      return types ? types.includes(t.value) : null;
+    }
+    case "legendary":
+    case "mythical": {
+      const f = ctx.flags?.[p.id];
+      return f ? f[t.field] === isYes(t.value) : null;
+    }
+    case "game":
+      return ctx.games[t.value] ? ctx.games[t.value].has(p.id) : null;
+    case "list":
+      return !!ctx.lists[t.value]?.has(p.key);
+    default:
+      return true;
+  }
+}
+
+function matchesQuery(p, terms, ctx) {
+  return terms.every((t) => {
+    if (t.invalid) return false;
+    const hit = termMatches(t, p, ctx);
+    return hit == null || hit !== t.negate;
+  });
+}
+
+// Completions for the token being typed at the end of `q`: field names, then that field's values
+// (`values` overrides per field, e.g. the user's list names). Each is { label, hint, text } where
+// `text` is the whole new query.
+function querySuggestions(q, values = {}) {
+  const m = q.match(/(-?)([^\s"]*)$/);
+  const token = m[2].toLowerCase();
+  if (!token) return [];
+  const head = q.slice(0, m.index) + m[1];
+  const colon = token.indexOf(":");
+  if (colon < 0) {
+    return Object.keys(QUERY_FIELDS)
+      .filter((f) => f.startsWith(token))
+      .map((f) => ({ label: `${f}:`, hint: QUERY_FIELDS[f].hint, text: `${head}${f}:` }));
+  }
+  const field = token.slice(0, colon);
+  const typed = token.slice(colon + 1);
+  return (values[field] || QUERY_FIELDS[field]?.values || [])
+    .filter((v) => v.startsWith(typed) && v !== typed)
+    .slice(0, 8)
+    .map((v) => ({
+      label: `${field}:${v}`,
+      hint: field === "game" ? versionLabel(v) : field === "ball" ? ballLabel(v) : null,
+      text: `${head}${field}:${v} `,
+    }));
+}
+
+// Every Pokémon's types, from the 18 /type endpoints (cheaper than 1000+ /pokemon calls).
+// Keyed by pokemon name (form slots carry theirs) and by species id for default forms.
+async function gatherTypes({ signal }) {
+  const cached = loadPref(LS_TYPES_CACHE_KEY, null);
+  if (cached) return cached;
+  const slots = {}; // name -> [[slot, type]]
+  const ids = {};
+  await mapPool(POKEMON_TYPES, 6, async (type) => {
+    const data = await fetchType(type, { signal });
+    for (const { pokemon, slot } of data.pokemon || []) {
+      if (!slots[pokemon.name]) slots[pokemon.name] = [];
+      slots[pokemon.name].push([slot, type]);
+      const id = idFromUrl(pokemon.url);
+      if (id && id <= DEX_MAX) ids[id] = pokemon.name;
+    }
+  });
+  const byName = {};
+  for (const [name, list] of Object.entries(slots)) byName[name] = list.sort((a, b) => a[0] - b[0]).map(([, t]) => t);
+  const byId = {};
+  for (const [id, name] of Object.entries(ids)) byId[id] = byName[name];
+  const out = { byName, byId };
+  savePref(LS_TYPES_CACHE_KEY, out);
+  return out;
+}
+
+// Legendary/mythical/baby flags from species data (shared with the evolvesFrom scan via the response cache).
+async function gatherSpeciesFlags(ids, { signal, onProgress }) {
+  const cache = loadPref(LS_SPECIES_FLAGS_CACHE_KEY, {});
+  const todo = ids.filter((id) => !cache[id]);
+  const already = ids.length - todo.length;
+  const failed = [];
+  onProgress?.(already, ids.length);
+  await mapPool(
+    todo,
+    6,
+    async (id) => {
+      if (signal?.aborted) return;
+      try {
+        const sp = await fetchSpecies(id, { signal });
+        cache[id] = { legendary: !!sp.is_legendary, mythical: !!sp.is_mythical, baby: !!sp.is_baby };
+      } catch (e) {
+        if (!isAbortError(e)) failed.push(id);
+      }
+    },
+    (done) => onProgress?.(already + done, ids.length)
+  );
+  savePref(LS_SPECIES_FLAGS_CACHE_KEY, cache);
+  return { flags: cache, failed };
+}
+
+// ---------- Box planner ----------
+// Pokémon HOME / in-game boxes: 30 slots, 6 columns x 5 rows.
+const BOX_SIZE = 30;
+const BOX_COLS = 6;
+
+// Lays entries out in dex order. Returns { boxes: [{ number, slots: [slot] }], where: Map(key -> { box, slot }) }
+// where a slot is { entry } or, with reserveForms, { entry, reserved: true } for a form that isn't
+// in the list (formSlots: { [species id]: form slots }, from buildFormSlots).
+// perGeneration starts a fresh box whenever the generation changes.
+function layoutBoxes(items, { perGeneration, reserveForms, formSlots }) {
+  const boxes = [];
+  const where = new Map();
+  let cur = null;
+  let lastGen = null;
+
+  const place = (slot) => {
+    if (!cur || cur.slots.length === BOX_SIZE) {
+      cur = { number: boxes.length + 1, slots: [] };
+      boxes.push(cur);
+    }
+    cur.slots.push(slot);
+    if (!where.has(slot.entry.key)) where.set(slot.entry.key, { box: cur.number, slot: cur.slots.length });
+  };
+
+  for (const p of items) {
+    const gen = generationOf(p.id);
+    if (perGeneration && lastGen != null && gen !== lastGen) cur = null;
+    lastGen = gen;
+    place({ entry: p });
+
+    // Forms mode already lists every form; otherwise hold their slots open.
+    if (reserveForms && p.formCount == null) {
+      for (const form of (formSlots?.[p.id] || []).slice(1)) {
+        place({ entry: { ...form, id: p.id, name: p.name, dexNumber: p.dexNumber }, reserved: true });
+      }
+    }
+  }
+  return { boxes, where };
+}
+
+const boxSpotLabel = (spot) => (spot ? `Box ${spot.box} · Slot ${spot.slot}` : "");
+
+// ---------- Import / export ----------
+// JSON backups are versioned so older files keep importing as the save format grows.
+const BACKUP_FORMAT = "living-dex-backup";
+// 1 = arrays of keys, 2 = [[key, record]…] pairs (catch records)
+const BACKUP_VERSION = 2;
+
+const TRUTHY_CELL = /^(y|yes|true|1|x|✓|✔|caught|owned|have|got|done)$/i;
+
+// Header aliases for common spreadsheet layouts (matched after lowercasing + `_` for spaces).
+const CSV_COLUMNS = {
+  key: ["key"],
+  id: ["id", "national", "national_id", "national_dex", "nat", "ndex", "dex", "pokedex", "number", "no", "no.", "num", "#", "dex_no", "dex_#"],
+  name: ["name", "pokemon", "pokémon", "species"],
+  caught: ["caught", "owned", "have", "got", "status", "registered", "collected"],
+  shiny: ["shiny", "shiny_caught"],
+};
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Minimal RFC 4180 parser. Sniffs `,` `;` or tab from the first line (EU spreadsheets use `;`).
+function parseCSV(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const delim = [",", ";", "\t"].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// "Mr. Mime" -> "mr-mime", "Farfetch’d" -> "farfetchd", "Nidoran♀" -> "nidoran-f", "Flabébé" -> "flabebe"
+function slugName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/♀/g, "-f")
+    .replace(/♂/g, "-m")
+    .replace(/['’.:]/g, "")
+    .replace(/[()]/g, " ")
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/-+/g, "-");
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// One row per entry of the current dex; both collections side by side,
+// shiny record fields prefixed with `shiny_`.
+function buildCsvExport(items, caughtNormal, caughtShiny) {
+  const fieldCols = CATCH_FIELDS.map((f) => f.csv[0]);
+  const rows = [
+    ["id", "dex_number", "name", "form", "key", "caught", "shiny_caught", ...fieldCols, ...fieldCols.map((c) => "shiny_" + c)],
+  ];
+  const fields = (rec) => CATCH_FIELDS.map((f) => formatCatchField(f, rec?.[f.key]));
+  for (const p of items) {
+    rows.push([
+      p.id,
+      p.dexNumber ?? p.id,
+      p.name,
+      p.formLabel || "",
+      p.key,
+      caughtNormal.has(p.key) ? "yes" : "no",
+      caughtShiny.has(p.key) ? "yes" : "no",
+      ...fields(caughtNormal.get(p.key)),
+      ...fields(caughtShiny.get(p.key)),
+    ]);
+  }
+  return toCSV(rows);
+}
+
+function buildJsonBackup({ caughtNormal, caughtShiny, settings }) {
+  return JSON.stringify(
+    {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      caught: Array.from(caughtNormal),
+      shiny: Array.from(caughtShiny),
+      settings,
+    },
+    null,
+    2
+  );
+}
+
+// Caught keys as stored: numbers for species, strings for form slots.
+function asKey(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  return /^\d+$/.test(s) ? Number(s) : s;
+}
+
+// Parses an import file into `{ collections: { normal?: Map, shiny?: Map }, unknown: [label], rows }`
+// (maps are key -> partial catch record).
+// `resolve(cell)` turns a spreadsheet name/number into a caught key (or null when unknown);
+// backup files and `key` columns are already keys and are taken as-is.
+// CSVs without a shiny column land in `activeCollection`.
+function parseImportFile(text, filename, { resolve, activeCollection }) {
+  const trimmed = text.trim();
+  const unknown = [];
+  const keysFrom = (list, toKey) => {
+    const out = new Map();
+    for (const v of list || []) {
+      const key = toKey(v);
+      if (key == null) unknown.push(String(v));
+      else out.set(key, {});
+    }
+    return out;
+  };
+
+  if (/\.json$/i.test(filename) || /^[[{]/.test(trimmed)) {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) {
+      return { collections: { [activeCollection]: keysFrom(data, resolve) }, unknown, rows: data.length };
+    }
+    if (data?.format !== BACKUP_FORMAT) throw new Error("Not a Living Dex backup file.");
+    if (data.version > BACKUP_VERSION) throw new Error(`Backup version ${data.version} is newer than this app.`);
+    // v1 backups hold bare keys, v2 hold [key, record] pairs: same shapes as caught saves.
+    const fromBackup = (list) =>
+      data.version >= 2 ? caughtFromJSON({ v: CATCH_SCHEMA_VERSION, entries: list }) : keysFrom(list, asKey);
+    const collections = {};
+    if (Array.isArray(data.caught)) collections.normal = fromBackup(data.caught);
+    if (Array.isArray(data.shiny)) collections.shiny = fromBackup(data.shiny);
+    return { collections, unknown, rows: (data.caught?.length || 0) + (data.shiny?.length || 0), settings: data.settings };
+  }
+
+  const rows = parseCSV(trimmed);
+  if (!rows.length) throw new Error("The file is empty.");
+
+  const header = rows[0].map((h) => h.trim().toLowerCase().replace(/\s+/g, "_"));
+  const col = (field) => header.findIndex((h) => CSV_COLUMNS[field].includes(h));
+  let cols = { key: col("key"), id: col("id"), name: col("name"), caught: col("caught"), shiny: col("shiny") };
+  const fieldCols = (prefix) =>
+    CATCH_FIELDS.map((f) => [f, header.findIndex((h) => f.csv.some((alias) => prefix + alias === h))]).filter(([, i]) => i >= 0);
+  let normalFields = fieldCols("");
+  let shinyFields = fieldCols("shiny_");
+  let body = rows.slice(1);
+  if (cols.key < 0 && cols.id < 0 && cols.name < 0) {
+    // No recognisable header: a bare list of names or numbers, one per row.
+    body = rows;
+    cols = { key: -1, id: -1, name: 0, caught: -1, shiny: -1 };
+    normalFields = [];
+    shinyFields = [];
+  }
+
+  const normal = new Map();
+  const shiny = new Map();
+  for (const r of body) {
+    const cell = (i) => (i >= 0 ? (r[i] || "").trim() : "");
+    const key = asKey(cell(cols.key)) ?? resolve(cell(cols.id)) ?? resolve(cell(cols.name));
+    const isCaught = cols.caught < 0 || TRUTHY_CELL.test(cell(cols.caught));
+    const isShiny = cols.shiny >= 0 && TRUTHY_CELL.test(cell(cols.shiny));
+    if (!isCaught && !isShiny) continue;
+    if (key == null) {
+      unknown.push(cell(cols.name) || cell(cols.id) || cell(cols.key) || r.join(" "));
+      continue;
+    }
+    const record = (fields) => {
+      const rec = {};
+      for (const [f, i] of fields) {
+        const v = parseCatchField(f, cell(i));
+        if (v !== undefined) rec[f.key] = v;
+      }
+      return rec;
+    };
+    if (isCaught) normal.set(key, record(normalFields));
+    if (isShiny) shiny.set(key, record(shinyFields));
+  }
+
+  const collections = {};
+  if (cols.shiny >= 0) {
+    if (cols.caught >= 0) collections.normal = normal;
+    collections.shiny = shiny;
+  } else {
+    collections[activeCollection] = normal;
+  }
+  return { collections, unknown, rows: body.length };
+}
+
+// Turns spreadsheet cells into caught keys: "#025"/"25" -> 25, "Mr. Mime" -> 122,
+// "Raichu (Alola)" -> "raichu-alola" when that form slot is loaded.
+function makeImportResolver(speciesIds, items) {
+  const names = new Map(speciesIds);
+  for (const p of items) {
+    names.set(slugName(p.name), p.id);
+    if (typeof p.key === "string") {
+      names.set(p.key, p.key);
+      names.set(slugName(`${p.name} ${p.formLabel || ""}`), p.key);
+    }
+  }
+  return (cell) => {
+    const s = String(cell ?? "").trim();
+    if (!s) return null;
+    const num = s.replace(/^#/, "");
+    if (/^\d+$/.test(num)) {
+      const id = Number(num);
+      return id >= 1 && id <= DEX_MAX ? id : null;
+    }
+    return names.get(slugName(s)) ?? null;
+  };
+}
+
+// What a replace/merge would do to one collection.
+function diffCaught(current, incoming) {
+  const added = [];
+  const removed = [];
+  for (const k of incoming.keys()) if (!current.has(k)) added.push(k);
+  for (const k of current.keys()) if (!incoming.has(k)) removed.push(k);
+  return { added, removed };
+}
+
+// ---------- Sync ----------
+// Optional sync of both caught collections (with their catch records) and the lists through any
+// HTTP server that stores one JSON document per sync code. The contract, for the configured
+// {endpoint}:
+//   GET {endpoint}/{code}  -> 200 { rev, doc }, or 404 while nothing is stored
+//   PUT {endpoint}/{code}  <- { baseRev, doc }  (baseRev: the rev we merged onto; null the first time)
+//                          -> 200 { rev }, or 409 when the stored rev isn't baseRev (we pull, merge, retry)
+// `rev` is any opaque string the server changes on every write. When a token is set it's sent as
+// "Authorization: Bearer <token>". The server never looks inside `doc`, so a few lines of code will
+// do (see sync-server.js) and anything speaking the same two routes can stand in for it.
+//
+// doc: { format: "living-dex-sync", version: 1, entries: { [entry]: { v, at, by } } }
+//   entry: "normal:<key>" | "shiny:<key>" | "list:<name>"
+//   v: the catch record or the list's keys (null = released / deleted), at: ms timestamp of the
+//   change, by: id of the device that made it.
+// Merging is per entry, last write wins (ties go to the larger device id). Local changes wait in a
+// per-profile queue (entry -> when it changed) until a sync gets through, so offline changes keep
+// their own times. An entry changed on both sides since the last sync is a conflict: the newer one
+// is kept and both are reported. Device clocks are trusted as they are.
+const SYNC_FORMAT = "living-dex-sync";
+const SYNC_VERSION = 1;
+const SYNC_DEBOUNCE_MS = 2000; // after a local change
+const SYNC_POLL_MS = 60 * 1000; // to pick up other devices' changes
+const SYNC_RETRIES = 3; // 409 rounds before waiting for the next sync
+const SYNC_CONFLICT_LIMIT = 50; // reports kept per profile
+const LS_DEVICE_ID_KEY = "livingDex:deviceId";
+
+// One id per browser, stamped on the entries it writes.
+const deviceId = (() => {
+  let id = loadPref(LS_DEVICE_ID_KEY, null);
+  if (!id) {
+    id = `d-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    savePref(LS_DEVICE_ID_KEY, id);
+  }
+  return id;
+})();
+
+const newSyncCode = () => Math.random().toString(36).slice(2, 10) + Math.random().toString(36).slice(2, 10);
+const normalizeSyncConfig = (c) => ({
+  endpoint: String(c?.endpoint || "").trim().replace(/\/+$/, ""),
+  code: String(c?.code || "").trim(),
+  token: String(c?.token || "").trim(),
+});
+const syncReady = (config) => !!(config?.endpoint && config?.code);
+// rev/base: the server document as of the last sync (base: entry -> its `at`); queue: entry -> changed at.
+const emptySyncState = () => ({ rev: null, base: {}, queue: {}, lastSync: null, conflicts: [] });
+
+// Devices build records with different key orders ({ ...record, ...patch }), so compare by content.
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableJson(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+const syncEntryName = (part, key) => `${part === "lists" ? "list" : part}:${key}`;
+
+// "shiny:25" -> { part: "shiny", key: 25 }, "list:For Trade" -> { part: "lists", key: "For Trade" }
+function parseSyncEntry(name) {
+  const i = name.indexOf(":");
+  const kind = name.slice(0, i);
+  const rest = name.slice(i + 1);
+  return kind === "list" ? { part: "lists", key: rest } : { part: kind, key: asKey(rest) };
+}
+
+// { [entry]: value } for everything stored locally.
+function localSyncEntries({ normal, shiny, lists }) {
+  const out = {};
+  for (const [key, rec] of normal) out[syncEntryName("normal", key)] = rec;
+  for (const [key, rec] of shiny) out[syncEntryName("shiny", key)] = rec;
+  for (const [name, keys] of Object.entries(lists)) out[syncEntryName("lists", name)] = keys;
+  return out;
+}
+
+// Entries that differ between two versions of a part (a collection Map, or the lists object).
+function changedSyncEntries(part, before, after) {
+  const get = (c, k) => (c instanceof Map ? c.get(k) : c[k]);
+  const keysOf = (c) => (c instanceof Map ? [...c.keys()] : Object.keys(c));
+  return Array.from(new Set([...keysOf(before), ...keysOf(after)]))
+    .filter((k) => get(before, k) !== get(after, k) && stableJson(get(before, k)) !== stableJson(get(after, k)))
+    .map((k) => syncEntryName(part, k));
+}
+
+// Per-entry last-write-wins of the server's entries and ours. Entries this device has never
+// synced go up as new; if the server already has a different value, the server's is kept and
+// reported. Returns { entries (merged), pulled: { entry: value } that changed here, conflicts, pushed }.
+function mergeSync({ remote, local, queue, base, now }) {
+  const entries = {};
+  const pulled = {};
+  const conflicts = [];
+  let pushed = 0;
+  for (const name of new Set([...Object.keys(remote), ...Object.keys(local), ...Object.keys(queue)])) {
+    const r = remote[name];
+    const mine = { v: local[name] ?? null, at: queue[name] ?? now, by: deviceId };
+    const changedHere = name in queue;
+    const neverSynced = !changedHere && !(name in base) && name in local;
+    let winner = r;
+    if (!r) winner = mine.v == null ? null : mine;
+    else if (changedHere) winner = mine.at > r.at || (mine.at === r.at && mine.by > r.by) ? mine : r;
+    if (!winner) continue;
+
+    entries[name] = winner;
+    const differs = !!r && stableJson(r.v) !== stableJson(mine.v);
+    if (winner === mine) pushed += 1;
+    else if (stableJson(r.v) !== stableJson(local[name] ?? null)) pulled[name] = r.v;
+    if (differs && ((changedHere && r.at !== base[name]) || neverSynced)) {
+      conflicts.push({ entry: name, at: now, kept: winner === mine ? "local" : "remote", local: mine.v, remote: r.v });
+    }
+  }
+  return { entries, pulled, conflicts, pushed };
+}
+
+async function syncRequest(url, { method = "GET", body, token, signal }) {
+  const headers = {};
+  if (body) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  // no-store: a stale copy (from the HTTP cache or sw.js) would only earn a 409.
+  const res = await fetch(url, { method, headers, body: body && JSON.stringify(body), signal, cache: "no-store" });
+  if (method === "GET" && res.status === 404) return null;
+  if (!res.ok) throw new HttpError(res.status, url);
+  return res.json();
+}
+
+// One pull-merge-push round. `snapshot()` returns { normal, shiny, lists, queue } as they are now
+// (it's called again on each 409 retry). `sent` is the queue that made it up.
+async function syncOnce(config, state, snapshot, { signal }) {
+  const url = `${config.endpoint}/${encodeURIComponent(config.code)}`;
+  for (let attempt = 0; ; attempt++) {
+    const remote = await syncRequest(url, { token: config.token, signal });
+    if (remote && remote.doc?.format !== SYNC_FORMAT) throw new Error("That URL doesn’t hold a living-dex sync document.");
+    const { queue, ...collections } = snapshot();
+    const now = Date.now();
+    const merged = mergeSync({ remote: remote?.doc.entries || {}, local: localSyncEntries(collections), queue, base: state.base, now });
+    if (remote && !merged.pushed) return { ...merged, rev: remote.rev, sent: queue, at: now };
+    try {
+      const doc = { format: SYNC_FORMAT, version: SYNC_VERSION, entries: merged.entries };
+      const put = await syncRequest(url, { method: "PUT", body: { baseRev: remote?.rev ?? null, doc }, token: config.token, signal });
+      return { ...merged, rev: put.rev, sent: queue, at: now };
+    } catch (e) {
+      if (e.status !== 409 || attempt >= SYNC_RETRIES) throw e;
+    }
+  }
+}
+
+// "caught (Lv 50 · Poké Ball)", "not caught", "3 entries"
+function describeSyncValue(name, v) {
+  if (v == null) return name.startsWith("list:") ? "deleted" : "not caught";
+  if (Array.isArray(v)) return `${v.length} entries`;
+  const summary = recordSummary(v);
+  return summary ? `caught (${summary})` : "caught";
+}
+
+// Short status for the header chip and the settings panel.
+function syncStatusText(status, state) {
+  const queued = Object.keys(state.queue).length;
+  if (status.state === "syncing") return "Syncing…";
+  if (status.state === "offline") return `Offline · ${queued} queued`;
+  if (status.state === "error") return "Sync failed";
+  if (queued) return `${queued} waiting to sync`;
+  return state.lastSync ? `Synced ${new Date(state.lastSync).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` : "Not synced yet";
+}
+
+// ---------- History ----------
+// Every change to caught data or lists is one undo step: { label, at, editKey?, parts }, where
+// parts maps "normal" | "shiny" | "lists" to [before, after]. Collections are never mutated in
+// place, so steps just hold references. Undo/redo lasts for the session; the activity log persists.
+const HISTORY_LIMIT = 100;
+// Events kept per profile, oldest dropped first. The log shares localStorage with the catalog caches,
+// and a full quota would also stop caught data saving, so it stays small.
+const ACTIVITY_LIMIT = 500;
+const EDIT_COALESCE_MS = 60 * 1000; // record edits to one entry within this window are one step/event
+const TOAST_MS = 6000;
+
+// Activity event: { at (ISO), type, text, shiny? }
+const ACTIVITY_TYPES = {
+  caught: { label: "Caught", className: "text-emerald-300" },
+  released: { label: "Released", className: "text-rose-200" },
+  edited: { label: "Edited", className: "text-cyan-200" },
+  imported: { label: "Imported", className: "text-amber-200" },
+  lists: { label: "Lists", className: "text-white/70" },
+  undo: { label: "Undo", className: "text-white/50" },
+  redo: { label: "Redo", className: "text-white/50" },
+  achievement: { label: "Achievement", className: "text-amber-300" },
+  synced: { label: "Synced", className: "text-sky-200" },
+};
+
+// "2024-05-01" in local time, like date inputs show it; date-only values are taken as they are.
+function localDay(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function activityCsv(events) {
+  return toCSV([
+    ["date", "type", "collection", "what"],
+    ...events.map((e) => [e.at, e.type, e.shiny ? "shiny" : "normal", e.text]),
+  ]);
+}
+
+// ---------- Stats ----------
+// Breakdowns for the stats view. Buckets are { key, caught, total }; like the header's progress,
+// everything but the region table is scoped to the chosen dex.
+const STATS_CLOSEST = 3; // generations listed under "closest to completion"
+const STATS_RECENT_DAYS = [7, 30]; // "caught in the last N days" chips
+const CHART_W = 600; // viewBox units; the chart stretches to its panel
+const CHART_H = 160;
+
+const CATEGORY_LABELS = { legendary: "Legendary", mythical: "Mythical", baby: "Baby", other: "Everything else" };
+
+// Mythical wins over legendary (PokeAPI never sets both, but just in case).
+const categoryOf = (f) => (f.mythical ? "mythical" : f.legendary ? "legendary" : f.baby ? "baby" : "other");
+
+// keysOf(p) returns one bucket key or several (a dual type counts toward both); null skips the entry.
+function tally(items, caught, keysOf) {
+  const out = new Map();
+  for (const p of items) {
+    const has = caught.has(p.key);
+    for (const key of [].concat(keysOf(p) ?? [])) {
+      const b = out.get(key) || { key, caught: 0, total: 0 };
+      b.total += 1;
+      if (has) b.caught += 1;
+      out.set(key, b);
+    }
+  }
+  return [...out.values()];
+}
+
+// Cumulative caught count per local day, from the catch records' dates. Records with no date
+// (e.g. spreadsheet imports) count from the start.
+function catchTimeline(items, caught) {
+  const perDay = new Map();
+  let undated = 0;
+  for (const p of items) {
+    const rec = caught.get(p.key);
+    if (!rec) continue;
+    const day = rec.caughtAt ? localDay(rec.caughtAt) : null;
+    if (day) perDay.set(day, (perDay.get(day) || 0) + 1);
+    else undated += 1;
+  }
+  let count = undated;
+  const points = [...perDay.keys()].sort().map((day) => ({ day, count: (count += perDay.get(day)) }));
+  return { undated, points, perDay };
+}
+
+// Species ids of every regional dex. Dex lists are ordinary cached responses, so this is
+// quick after the first time.
+async function gatherRegionalDexes({ signal, onProgress }) {
+  const modes = DEX_MODES.filter((d) => d.pokedex);
+  const failed = [];
+  const ids = await mapPool(
+    modes,
+    4,
+    async (mode) => {
+      try {
+        return (await fetchDexEntries(mode, { signal })).map((e) => e.id);
+      } catch (e) {
+        if (!isAbortError(e)) failed.push(mode.key);
+        return null;
+      }
+    },
+    onProgress
+  );
+  return { dexes: modes.map((mode, i) => ({ key: mode.key, label: mode.label, ids: ids[i] })).filter((d) => d.ids), failed };
+}
+
+// ---------- Achievements ----------
+// Milestones are measured in caught national ids (form slots don't count), so they mean the same
+// in every dex mode. Earned ones persist per profile as { [id]: ISO date }; the shiny collection
+// earns its own, stored under id + ":shiny". Releasing a Pokémon never takes one back.
+const STARTER_IDS = [
+  1, 4, 7, 152, 155, 158, 252, 255, 258, 387, 390, 393, 495, 498, 501,
+  650, 653, 656, 722, 725, 728, 810, 813, 816, 906, 909, 912,
+];
+const COUNT_MILESTONE = 100; // "every 100 caught"
+const EVO_CHECK_LIMIT = 20; // newly caught species whose evolution line gets looked up, per change
+const CELEBRATE_MS = 3600;
+
+// In ascending rank: when several unlock at once, the highest one is celebrated.
+// Each kind has its own jingle (notes in Hz) and Pokéball colour.
+const ACHIEVEMENT_KINDS = {
+  first: { label: "First catch", color: "#34d399", notes: [784, 1047] },
+  count: { label: "Milestone", color: "#22d3ee", notes: [523, 659, 784] },
+  line: { label: "Evolution", color: "#a78bfa", notes: [440, 554, 659, 880] },
+  type: { label: "Type", color: "#f472b6", notes: [587, 740, 880, 740, 880] },
+  starters: { label: "Starters", color: "#fb923c", notes: [392, 494, 587, 784] },
+  generation: { label: "Generation", color: "#facc15", notes: [523, 659, 784, 1047] },
+  complete: { label: "Living Dex", color: "#ff3b3b", notes: [523, 523, 523, 659, 784, 659, 784, 1047] },
+};
+
+const speciesRange = (first, last) => Array.from({ length: last - first + 1 }, (_, i) => first + i);
+
+// goal: a species count to reach; ids(ctx): species that all need catching (null = data not loaded).
+// "evo-line" has neither; it's checked when something is caught (see completesEvolutionLine).
+const ACHIEVEMENTS = [
+  { id: "first", kind: "first", title: "First Catch", text: "Catch your first Pokémon.", goal: 1 },
+  ...speciesRange(1, Math.floor(DEX_MAX / COUNT_MILESTONE)).map((n) => ({
+    id: `count-${n * COUNT_MILESTONE}`,
+    kind: "count",
+    title: `${n * COUNT_MILESTONE} Caught`,
+    text: `Catch ${n * COUNT_MILESTONE} different species.`,
+    goal: n * COUNT_MILESTONE,
+  })),
+  { id: "evo-line", kind: "line", title: "Family Reunion", text: "Complete a whole evolution line." },
+  ...POKEMON_TYPES.map((t) => ({
+    id: `type-${t}`,
+    kind: "type",
+    title: `${titleCase(t)} Specialist`,
+    text: `Catch every ${titleCase(t)}-type species.`,
+    ids: (ctx) => ctx.typeIds?.[t] || null,
+  })),
+  { id: "starters", kind: "starters", title: "Starter Collector", text: "Catch every Grass, Fire and Water starter.", ids: () => STARTER_IDS },
+  ...GEN_LAST_ID.map((last, i) => ({
+    id: `gen-${i + 1}`,
+    kind: "generation",
+    title: `Generation ${i + 1} Complete`,
+    text: `Catch every species introduced in Generation ${i + 1}.`,
+    ids: () => speciesRange(i ? GEN_LAST_ID[i - 1] + 1 : 1, last),
+  })),
+  { id: "complete", kind: "complete", title: "Living Dex", text: `Catch all ${DEX_MAX} species.`, ids: () => speciesRange(1, DEX_MAX) },
+];
+
+// ctx for one collection: { species: Set(national id), typeIds: { [type]: [id] } | null }
+function achievementContext(caught, typeIds) {
+  const species = new Set();
+  for (const key of caught.keys()) if (typeof key === "number" && key <= DEX_MAX) species.add(key);
+  return { species, typeIds };
+}
+
+// gatherTypes().byId inverted: { [type]: [species id] }
+function typeIdsFrom(types) {
+  const out = {};
+  for (const [id, list] of Object.entries(types.byId)) for (const t of list || []) (out[t] = out[t] || []).push(Number(id));
+  return out;
+}
+
+// { have, need } toward an achievement, or null when it can't be measured (yet).
+function achievementProgress(a, ctx) {
+  if (a.goal) return { have: Math.min(ctx.species.size, a.goal), need: a.goal };
+  const ids = a.ids?.(ctx);
+  if (!ids?.length) return null;
+  return { have: ids.filter((id) => ctx.species.has(id)).length, need: ids.length };
+}
+
+// Achievements the collection qualifies for that `earned` doesn't have yet.
+function newAchievements(ctx, earned, suffix) {
+  return ACHIEVEMENTS.filter((a) => {
+    if (earned[a.id + suffix]) return false;
+    const p = achievementProgress(a, ctx);
+    return !!p && p.have >= p.need;
+  });
+}
+
+const achievementRank = (a) => Object.keys(ACHIEVEMENT_KINDS).indexOf(a.kind);
+
+// Whether catching `ids` finished an evolution line of two or more (chains come from the response cache).
+async function completesEvolutionLine(ids, has, { signal }) {
+  const seen = new Set();
+  for (const id of ids.slice(0, EVO_CHECK_LIMIT)) {
+    if (seen.has(id)) continue;
+    try {
+      const sp = await fetchSpecies(id, { signal });
+      if (!sp.evolution_chain?.url) continue;
+      const evo = await fetchEvolutionChain(sp.evolution_chain.url, { signal });
+      const line = flattenEvolutions(parseEvolutionChain(evo.chain)).map((f) => f.node.id);
+      for (const n of line) seen.add(n);
+      if (line.length > 1 && line.every(has)) return true;
+    } catch (e) {
+      if (isAbortError(e)) return false;
+    }
+  }
+  return false;
+}
+
+// ---------- Keyboard ----------
+// Global hotkeys (handled in App; the carousel listbox does its own arrows/Home/End).
+const HOTKEYS = [
+  ["←/→", "browse"],
+  ["C", "catch/release"],
+  ["Ctrl+Z / Ctrl+Shift+Z", "undo/redo"],
+  ["/", "search list"],
+  ["G + number", "jump to #"],
+];
+const JUMP_COMMIT_MS = 900; // "g 2 5" jumps once the digits stop coming (or on Enter)
+
+// Hotkeys must not fire while the user is typing into a field.
+function isTypingTarget(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable;
+}
+
+// ---------- UI components ----------
+function FuturisticPanel({ children, className = "" }) {
+  return (
+    <div
+      className={
+        "relative overflow-hidden rounded-2xl border border-white/15 bg-white/5 backdrop-blur-xl shadow-[0_0_0_1px_rgba(255,255,255,0.08),0_20px_60px_rgba(0,0,0,0.45)] " +
+        className
+      }
+    >
+      <div className="absolute -left-24 -top-24 h-48 w-48 rounded-full bg-emerald-500/20 blur-3xl" />
+      <div className="absolute -right-24 -bottom-24 h-48 w-48 rounded-full bg-cyan-500/20 blur-3xl" />
+      <div className="relative p-4 md:p-5">{children}</div>
+    </div>
+  );
+}
+
+function GlowButton({ children, onClick, disabled }) {
+  return (
+    <button
+      disabled={disabled}
+      onClick={onClick}
+      className={
+        "group relative inline-flex items-center justify-center rounded-xl px-4 py-2 font-black tracking-wide " +
+        "text-black shadow-[0_10px_30px_rgba(16,185,129,0.35)] transition " +
+        "bg-emerald-400 hover:bg-emerald-300 active:scale-[0.98] disabled:opacity-40 disabled:cursor-not-allowed " +
+        "focus:outline-none focus:ring-2 focus:ring-emerald-300/80"
+      }
+      style={{ fontFamily: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto" }}
+    >
+      <span className="absolute inset-0 -z-10 rounded-xl bg-emerald-400/40 blur-xl opacity-70 group-hover:opacity-90" />
+      {children}
+    </button>
+  );
+}
+
+function Chip({ children }) {
+  return (
     <span className="inline-flex items-center rounded-full border border-white/15 bg-white/5 px-2.5 py-1 text-xs text-white/90">
       {children}
     </span>
   );
 }
 
-function Toggle({ active, onClick, children }) {
+// `active` undefined = a plain button (e.g. Retry); otherwise it's announced as a pressed/unpressed toggle.
+function Toggle({ active, onClick, children, ...rest }) {
+  return (
+    <button
+      onClick={onClick}
+      aria-pressed={active === undefined ? undefined : !!active}
+      {...rest}
+      className={
+        "rounded-xl px-3 py-1.5 text-sm font-semibold transition disabled:cursor-not-allowed disabled:opacity-40 " +
+        (active
+          ? "bg-white/15 text-white"
+          : "bg-white/5 text-white/70 hover:bg-white/10 hover:text-white")
+      }
+    >
+      {children}
+    </button>
+  );
+}
+
+// Inline failure message with a retry button; used wherever a fetch can fail.
+function RetryNote({ onRetry, children, className = "" }) {
+  return (
+    <div className={"flex flex-wrap items-center gap-2 text-sm text-rose-200 " + className}>
+      <span>{children}</span>
+      <Toggle onClick={onRetry}>Retry</Toggle>
+    </div>
+  );
+}
+
+function DexPicker({ value, onChange }) {
+  const groups = ["National", "Generation", "Regional"];
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="rounded-xl border border-white/15 bg-black/30 px-3 py-1.5 text-sm font-semibold text-white/90 outline-none focus:ring-2 focus:ring-emerald-300/40"
+    >
+      {groups.map((g) => (
+        <optgroup key={g} label={g}>
+          {DEX_MODES.filter((d) => d.group === g).map((d) => (
+            <option key={d.key} value={d.key}>
+              {d.label}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// Tracks the OS "reduce motion" setting. Framer-motion honours it via <MotionConfig reducedMotion="user">;
+// this is for the motion we drive ourselves (intro, smooth scrolling, drag momentum).
+function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(() => !!window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+  useEffect(() => {
+    const mq = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    if (!mq) return;
+    const onChange = () => setReduced(mq.matches);
+    mq.addEventListener?.("change", onChange);
+    return () => mq.removeEventListener?.("change", onChange);
+  }, []);
+  return reduced;
+}
+
+function PokeballIntro({ done, onDone }) {
+  const reduced = usePrefersReducedMotion();
+
+  // Reduced motion: no spinning ball, straight into the app.
+  useEffect(() => {
+    if (done) return;
+    const t = setTimeout(() => onDone?.(), reduced ? 0 : 1850);
+    return () => clearTimeout(t);
+  }, [done, onDone, reduced]);
+
+  return (
+    <AnimatePresence>
+      {!done && !reduced && (
+        <motion.div
+          className="fixed inset-0 z-50 grid place-items-center bg-[#06070c]"
+          initial={{ opacity: 1 }}
+          exit={{ opacity: 0, transition: { duration: 0.35 } }}
+        >
+          <motion.div className="relative" initial={{ scale: 0.9, y: 12 }} animate={{ scale: 1, y: 0 }}>
+            <div className="absolute -inset-16 rounded-full bg-emerald-500/10 blur-3xl" />
+            <motion.div
+              className="relative h-40 w-40 rounded-full border border-white/20 shadow-[0_40px_120px_rgba(0,0,0,0.7)]"
+              style={{ background: "linear-gradient(#ff3b3b 0%, #ff3b3b 48%, #111827 48%, #111827 52%, #f3f4f6 52%, #f3f4f6 100%)" }}
+              animate={{ rotate: [0, 6, -6, 4, -4, 0] }}
+              transition={{ duration: 1.25, ease: "easeInOut" }}
+            >
+              <div className="absolute left-0 right-0 top-1/2 h-2 -translate-y-1/2 bg-black/80" />
+              <motion.div
+                className="absolute left-1/2 top-1/2 h-12 w-12 -translate-x-1/2 -translate-y-1/2 rounded-full bg-white shadow-[inset_0_0_0_8px_rgba(0,0,0,0.8)]"
+                animate={{ boxShadow: [
+                  "inset 0 0 0 8px rgba(0,0,0,0.8)",
+                  "inset 0 0 0 8px rgba(0,0,0,0.8), 0 0 24px rgba(16,185,129,0.65)",
+                  "inset 0 0 0 8px rgba(0,0,0,0.8)",
+                ] }}
+                transition={{ duration: 1.0, repeat: 1, ease: "easeInOut" }}
+              />
+              <motion.div
+                className="absolute inset-0 rounded-full"
+                animate={{ opacity: [0.0, 0.25, 0.0] }}
+                transition={{ duration: 1.2, ease: "easeInOut" }}
+                style={{ background: "radial-gradient(circle at 50% 50%, rgba(16,185,129,0.3), transparent 55%)" }}
+              />
+            </motion.div>
+            <motion.div
+              className="mt-6 text-center text-white/90"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.25 }}
+            >
+              <div className="text-lg font-extrabold tracking-wide">Living Dex Tracker</div>
+              <div className="text-sm text-white/60">Opening Pokéball…</div>
+            </motion.div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+// ---------- Virtualization ----------
+// Big lists only mount what's in view (plus VIRTUAL_OVERSCAN items each side). Items are
+// absolutely placed inside a spacer as long as the whole list, at precomputed offsets.
+const VIRTUAL_OVERSCAN = 6;
+const FALLBACK_VIEWPORT = 1200; // px, until the scroller has a size (or when there's no layout at all)
+
+// Scroll offset + visible length of a scroll container along one axis, updated once per frame.
+function useScrollViewport(ref, axis) {
+  const [vp, setVp] = useState({ pos: 0, size: 0 });
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    let frame = 0;
+    const read = () => {
+      frame = 0;
+      const pos = axis === "x" ? el.scrollLeft : el.scrollTop;
+      const size = axis === "x" ? el.clientWidth : el.clientHeight;
+      setVp((prev) => (prev.pos === pos && prev.size === size ? prev : { pos, size }));
+    };
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(read);
+    };
+    read();
+    el.addEventListener("scroll", schedule, { passive: true });
+    const ro = typeof ResizeObserver !== "undefined" ? new ResizeObserver(schedule) : null;
+    ro?.observe(el);
+    return () => {
+      el.removeEventListener("scroll", schedule);
+      ro?.disconnect();
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [ref, axis]);
+
+  return { pos: vp.pos, size: vp.size || FALLBACK_VIEWPORT };
+}
+
+// offsets[i] = where item i starts, offsets[count] = total length -> [first, last) worth mounting.
+function visibleRange(offsets, pos, size, overscan = VIRTUAL_OVERSCAN) {
+  const count = offsets.length - 1;
+  let lo = 0;
+  let hi = count;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid + 1] <= pos) lo = mid + 1;
+    else hi = mid;
+  }
+  let last = lo;
+  while (last < count && offsets[last] < pos + size) last++;
+  return [Math.max(0, lo - overscan), Math.min(count, last + overscan)];
+}
+
+// Carousel card geometry; must match the classes (w-24 cards, 16px gaps).
+const CARD_W = 96;
+const CARD_H = 112;
+const CARD_GAP = 16;
+const CARD_STRIDE = CARD_W + CARD_GAP;
+const CAROUSEL_PAD = 24; // minimum; the track is padded so the first/last card can reach the reticle
+
+// Drag + momentum tuning. Selection follows the reticle once scrolling has been still for SETTLE_MS.
+const DRAG_CLICK_SLOP = 5; // px of travel before a press counts as a drag rather than a click
+const MOMENTUM_FRICTION = 0.95; // velocity kept per 16ms frame
+const MOMENTUM_MIN_SPEED = 0.05; // px/ms
+const SETTLE_MS = 140;
+
+// DOM id for a card, so the listbox can point aria-activedescendant at it.
+const cardDomId = (key) => "dex-card-" + String(key).replace(/[^\w-]/g, "_");
+
+const CarouselCard = memo(function CarouselCard({ p, index, count, left, active, onSelect }) {
+  return (
+    <motion.button
+      id={cardDomId(p.key)}
+      role="option"
+      aria-selected={active}
+      aria-posinset={index + 1}
+      aria-setsize={count}
+      aria-label={`${titleCase(p.name)}${p.formLabel ? ` (${p.formLabel})` : ""}, ${dexNo(p.dexNumber ?? p.id)}`}
+      tabIndex={-1}
+      onClick={() => onSelect(index)}
+      className={
+        "absolute top-3 flex h-28 w-24 flex-col items-center justify-center rounded-2xl border " +
+        (active ? "border-emerald-300/60 bg-white/10" : "border-white/10 bg-white/5 hover:bg-white/10")
+      }
+      style={{ left, scrollSnapAlign: "center" }}
+      whileHover={{ y: -2 }}
+      whileTap={{ scale: 0.98 }}
+      animate={{ scale: active ? 1.04 : 1.0 }}
+      transition={{ type: "spring", stiffness: 320, damping: 26 }}
+    >
+      <div className={"absolute inset-0 rounded-2xl " + (active ? "shadow-[0_0_0_1px_rgba(16,185,129,0.25),0_18px_50px_rgba(0,0,0,0.5)]" : "")}></div>
+      {/* Forms of the same species are linked together */}
+      {p.formIndex > 0 && <div className="absolute -left-4 top-1/2 h-px w-4 bg-emerald-300/40" />}
+      <img
+        src={p.sprite}
+        alt={p.name}
+        className={"h-14 w-14 select-none " + (active ? "drop-shadow-[0_10px_18px_rgba(16,185,129,0.25)]" : "opacity-90")}
+        draggable={false}
+      />
+      <div className="mt-1 w-full truncate px-2 text-center text-[11px] font-semibold text-white/85">{titleCase(p.name)}</div>
+      {p.formLabel && <div className="w-full truncate px-2 text-center text-[10px] font-semibold text-emerald-200/80">{p.formLabel}</div>}
+      <div className="text-[10px] text-white/45">{dexNo(p.dexNumber ?? p.id)}</div>
+    </motion.button>
+  );
+});
+
+// Keys the carousel listbox handles itself: index of the card to move to.
+const CAROUSEL_KEYS = {
+  ArrowLeft: (i) => i - 1,
+  ArrowRight: (i) => i + 1,
+  PageUp: (i) => i - 10,
+  PageDown: (i) => i + 10,
+  Home: () => 0,
+  End: (i, count) => count - 1,
+};
+
+function Carousel({ items, selectedIndex, onSelect }) {
+  const scrollerRef = useRef(null);
+  const { pos, size } = useScrollViewport(scrollerRef, "x");
+  const [dragging, setDragging] = useState(false);
+  const reduced = usePrefersReducedMotion();
+  const behavior = reduced ? "auto" : "smooth";
+
+  const pad = Math.max(CAROUSEL_PAD, Math.round(size / 2 - CARD_W / 2));
+  const offsets = useMemo(() => Array.from({ length: items.length + 1 }, (_, i) => pad + i * CARD_STRIDE), [items.length, pad]);
+  const [first, last] = visibleRange(offsets, pos, size);
+  // The selected card stays mounted even mid-jump, so aria-activedescendant always resolves.
+  const mounted = [];
+  for (let i = first; i < last; i++) mounted.push(i);
+  if (items[selectedIndex] && (selectedIndex < first || selectedIndex >= last)) mounted.push(selectedIndex);
+  const trackWidth = pad * 2 + Math.max(0, items.length * CARD_STRIDE - CARD_GAP);
+
+  // Scroll position that centers card i under the reticle, and the card nearest a position.
+  const centerOf = (el, i) => Math.max(0, pad + i * CARD_STRIDE + CARD_W / 2 - el.clientWidth / 2);
+  const nearestTo = (el) => clamp(Math.round((el.scrollLeft + el.clientWidth / 2 - pad - CARD_W / 2) / CARD_STRIDE), 0, items.length - 1);
+
+  // Latest values for the long-lived listeners below.
+  const live = useRef({});
+  live.current = { selectedIndex, onSelect, centerOf, nearestTo, count: items.length, reduced };
+
+  // Keep selected centered (the card may not be mounted yet, so scroll by geometry)
+  useEffect(() => {
+    const el = scrollerRef.current;
+    if (!el?.scrollTo) return;
+    el.scrollTo({ left: centerOf(el, selectedIndex), behavior });
+  }, [selectedIndex, pad]);
+
+  const onKeyDown = (e) => {
+    const move = CAROUSEL_KEYS[e.key];
+    if (!move || e.altKey || e.ctrlKey || e.metaKey || !items.length) return;
+    e.preventDefault();
+    onSelect(clamp(move(selectedIndex, items.length), 0, items.length - 1));
+  };
+
+  // Wheel, mouse/pen drag with momentum, and selecting whatever settles under the reticle.
+  // Touch keeps the browser's own panning, which already has momentum and snapping.
+  useEffect(() => {
+    const el = scrollerRef.current;
+    if (!el) return;
+    const drag = { id: null, startX: 0, startLeft: 0, moved: false, samples: [] };
+    let momentum = 0;
+    let settleTimer = 0;
+
+    // A glide keeps `dragging` set; cutting it short has to bring snapping back too.
+    const stopMomentum = () => {
+      if (!momentum) return;
+      cancelAnimationFrame(momentum);
+      momentum = 0;
+      setDragging(false);
+    };
+
+    const settle = () => {
+      settleTimer = 0;
+      if (drag.id != null || momentum || !live.current.count) return;
+      const i = live.current.nearestTo(el);
+      if (i !== live.current.selectedIndex) live.current.onSelect(i);
+    };
+    const scheduleSettle = () => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(settle, SETTLE_MS);
+    };
+
+    const snap = () => {
+      const { count, nearestTo, centerOf, reduced } = live.current;
+      if (count) el.scrollTo?.({ left: centerOf(el, nearestTo(el)), behavior: reduced ? "auto" : "smooth" });
+      scheduleSettle();
+    };
+
+    const glide = (velocity) => {
+      let v = velocity;
+      let prev = performance.now();
+      const step = (now) => {
+        const dt = Math.max(1, now - prev);
+        prev = now;
+        const before = el.scrollLeft;
+        el.scrollLeft -= v * dt;
+        v *= Math.pow(MOMENTUM_FRICTION, dt / 16);
+        // Stop on friction or when we run into either end of the track.
+        if (Math.abs(v) < MOMENTUM_MIN_SPEED || el.scrollLeft === before) {
+          momentum = 0;
+          setDragging(false);
+          snap();
+          return;
+        }
+        momentum = requestAnimationFrame(step);
+      };
+      momentum = requestAnimationFrame(step);
+    };
+
+    const onWheel = (e) => {
+      stopMomentum();
+      if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) return; // already horizontal
+      e.preventDefault();
+      el.scrollLeft += e.deltaY;
+    };
+
+    const onPointerDown = (e) => {
+      if (e.pointerType === "touch" || e.button !== 0) return;
+      stopMomentum();
+      Object.assign(drag, { id: e.pointerId, startX: e.clientX, startLeft: el.scrollLeft, moved: false, samples: [] });
+    };
+    const onPointerMove = (e) => {
+      if (e.pointerId !== drag.id) return;
+      const dx = e.clientX - drag.startX;
+      if (!drag.moved) {
+        if (Math.abs(dx) < DRAG_CLICK_SLOP) return;
+        drag.moved = true;
+        el.setPointerCapture?.(e.pointerId);
+        // Smooth scrolling and snapping would fight the pointer; both come back on release.
+        setDragging(true);
+      }
+      el.scrollLeft = drag.startLeft - dx;
+      drag.samples.push({ x: e.clientX, t: e.timeStamp });
+      if (drag.samples.length > 5) drag.samples.shift();
+    };
+    const onPointerUp = (e) => {
+      if (e.pointerId !== drag.id) return;
+      drag.id = null;
+      if (!drag.moved) return;
+      el.releasePointerCapture?.(e.pointerId);
+      // Release speed from the last few moves; a held pointer has no momentum left.
+      const s = drag.samples;
+      const a = s[0];
+      const b = s[s.length - 1];
+      const fresh = b && e.timeStamp - b.t < 80;
+      const velocity = a && b && b.t > a.t && fresh ? (b.x - a.x) / (b.t - a.t) : 0;
+      if (Math.abs(velocity) >= MOMENTUM_MIN_SPEED && !live.current.reduced) glide(velocity);
+      else {
+        setDragging(false);
+        snap();
+      }
+    };
+    // The click that ends a drag shouldn't also select the card under the pointer.
+    const onClickCapture = (e) => {
+      if (!drag.moved) return;
+      drag.moved = false;
+      e.stopPropagation();
+      e.preventDefault();
+    };
+
+    el.addEventListener("wheel", onWheel, { passive: false });
+    el.addEventListener("scroll", scheduleSettle, { passive: true });
+    el.addEventListener("pointerdown", onPointerDown);
+    el.addEventListener("pointermove", onPointerMove);
+    el.addEventListener("pointerup", onPointerUp);
+    el.addEventListener("pointercancel", onPointerUp);
+    el.addEventListener("click", onClickCapture, true);
+    return () => {
+      stopMomentum();
+      clearTimeout(settleTimer);
+      el.removeEventListener("wheel", onWheel);
+      el.removeEventListener("scroll", scheduleSettle);
+      el.removeEventListener("pointerdown", onPointerDown);
+      el.removeEventListener("pointermove", onPointerMove);
+      el.removeEventListener("pointerup", onPointerUp);
+      el.removeEventListener("pointercancel", onPointerUp);
+      el.removeEventListener("click", onClickCapture, true);
+    };
+  }, []);
+
+  return (
+    <div className="relative">
+      <div className="pointer-events-none absolute left-0 top-0 h-full w-20 bg-gradient-to-r from-[#06070c] to-transparent" />
+      <div className="pointer-events-none absolute right-0 top-0 h-full w-20 bg-gradient-to-l from-[#06070c] to-transparent" />
+
+      <div
+        ref={scrollerRef}
+        role="listbox"
+        aria-label="Pokédex"
+        aria-orientation="horizontal"
+        aria-activedescendant={items[selectedIndex] ? cardDomId(items[selectedIndex].key) : undefined}
+        tabIndex={0}
+        onKeyDown={onKeyDown}
+        className={
+          "no-scrollbar overflow-x-auto rounded-2xl outline-none focus-visible:ring-2 focus-visible:ring-emerald-300/40 " +
+          (dragging ? "cursor-grabbing select-none" : "cursor-grab " + (reduced ? "" : "scroll-smooth"))
+        }
+        style={{ scrollSnapType: dragging ? "none" : "x mandatory" }}
+      >
+        <div className="relative" style={{ width: trackWidth, height: CARD_H + 24 }}>
+          {mounted.map((i) => (
+            <CarouselCard
+              key={items[i].key}
+              p={items[i]}
+              index={i}
+              count={items.length}
+              left={offsets[i]}
+              active={i === selectedIndex}
+              onSelect={onSelect}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Center reticle */}
+      <div className="pointer-events-none absolute left-1/2 top-0 h-full w-0 -translate-x-1/2">
+        <div className="absolute top-1/2 h-14 w-14 -translate-x-1/2 -translate-y-1/2 rounded-2xl border border-emerald-300/30" />
+        <div className="absolute top-1/2 h-1 w-16 -translate-x-1/2 -translate-y-1/2 bg-emerald-400/30" />
+      </div>
+    </div>
+  );
+}
+
+// Text fields keep what's typed (spaces, line breaks) in `drafts` while focused; the record gets the
+// parsed value on every change, and the draft is dropped on blur.
+function CatchRecordEditor({ record, onChange }) {
+  const [drafts, setDrafts] = useState({});
+  const inputClass =
+    "w-full rounded-xl border border-white/15 bg-black/30 px-2.5 py-1.5 text-sm text-white/90 placeholder:text-white/40 outline-none focus:ring-2 focus:ring-emerald-300/40";
+
+  const input = (f) => {
+    const value = drafts[f.key] ?? record[f.key] ?? "";
+    const set = (raw) => onChange({ [f.key]: parseCatchField(f, raw) });
+    const typed = {
+      onChange: (e) => {
+        const raw = e.target.value;
+        setDrafts((d) => ({ ...d, [f.key]: raw }));
+        set(raw);
+      },
+      onBlur: () =>
+        setDrafts((d) => {
+          const rest = { ...d };
+          delete rest[f.key];
+          return rest;
+        }),
+    };
+    if (f.type === "game" || f.type === "storage" || f.type === "ball") {
+      const options =
+        f.type === "ball"
+          ? POKE_BALLS.map((b) => [b, ballLabel(b)])
+          : [...(f.type === "storage" ? [["home", "Pokémon HOME"]] : []), ...Object.entries(VERSION_LABELS)];
+      return (
+        <select value={value} onChange={(e) => set(e.target.value)} className={inputClass}>
+          <option value="">—</option>
+          {options.map(([v, label]) => (
+            <option key={v} value={v}>
+              {label}
+            </option>
+          ))}
+          {value && !options.some(([v]) => v === value) && <option value={value}>{formatCatchField(f, value)}</option>}
+        </select>
+      );
+    }
+    if (f.type === "notes") {
+      return <textarea value={value} {...typed} rows={2} className={inputClass} />;
+    }
+    return (
+      <input
+        type={f.type === "date" ? "date" : f.type === "number" ? "number" : "text"}
+        value={f.type === "date" ? String(value).slice(0, 10) : value}
+        {...(!f.type ? typed : { onChange: (e) => set(e.target.value) })}
+        className={inputClass}
+      />
+    );
+  };
+
+  return (
+    <div className="mt-3 grid grid-cols-2 gap-2 rounded-2xl border border-white/10 bg-black/25 p-3">
+      {CATCH_FIELDS.map((f) => (
+        <label key={f.key} className={"text-xs font-semibold text-white/60 " + (f.type === "notes" ? "col-span-2" : "")}>
+          {f.label}
+          <div className="mt-1">{input(f)}</div>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+function EvolutionNode({ node, currentId, has, shiny, onJumpToId }) {
+  const isCaught = has(node.id);
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => onJumpToId?.(node.id)}
+        title={`${titleCase(node.name)}${isCaught ? " · caught" : ""}`}
+        className={
+          "relative flex w-20 shrink-0 flex-col items-center rounded-2xl border p-1.5 transition " +
+          (node.id === currentId
+            ? "border-emerald-300/60 bg-white/10"
+            : isCaught
+            ? "border-emerald-300/20 bg-emerald-400/10 hover:bg-emerald-400/20"
+            : "border-white/10 bg-white/5 hover:bg-white/10")
+        }
+      >
+        <img src={speciesSprite(node.id, shiny)} alt={node.name} className={"h-12 w-12 select-none " + (isCaught ? "" : "opacity-50")} draggable={false} />
+        <div className="w-full truncate text-center text-[10px] font-semibold text-white/85">{titleCase(node.name)}</div>
+        {isCaught && <span className="absolute right-1 top-1 text-[10px] text-emerald-300">✓</span>}
+      </button>
+      {node.children.length > 0 && (
+        <div className="flex flex-col gap-2">
+          {node.children.map((c) => (
+            <div key={c.id} className="flex items-center gap-2">
+              <div className="w-24 shrink-0 text-center text-[10px] leading-tight text-white/55">
+                <div className="text-emerald-300/70">→</div>
+                {evolutionText(c.details)}
+              </div>
+              <EvolutionNode node={c} currentId={currentId} has={has} shiny={shiny} onJumpToId={onJumpToId} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DexSidePanel({
+  pokemon,
+  caught,
+  record,
+  collection,
+  shiny,
+  boxSpot,
+  ownedGames,
+  detailsFailed,
+  onRetryDetails,
+  onToggleCaught,
+  onUpdateRecord,
+  onJumpToId,
+}) {
+  const [species, setSpecies] = useState(null);
+  const [evoTree, setEvoTree] = useState(null);
+  const [enc, setEnc] = useState(null);
+  const [encLoading, setEncLoading] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [errors, setErrors] = useState({}); // { species, encounters, evolution }: true when that fetch failed
+  const [retryTick, setRetryTick] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [encSort, setEncSort] = useState("chance"); // chance | name
+  const [methodFilter, setMethodFilter] = useState(null); // null = all methods
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setSpecies(null);
+    setEvoTree(null);
+    setEnc(null);
+    setSelectedVersion(null);
+    setErrors({});
+    const fail = (part) => (e) => {
+      if (!signal.aborted && !isAbortError(e)) setErrors((prev) => ({ ...prev, [part]: true }));
+    };
+
+    (async () => {
+      try {
+        const sp = await fetchSpecies(pokemon.id, { signal });
+        if (signal.aborted) return;
+        setSpecies(sp);
+        if (sp.evolution_chain?.url) {
+          fetchEvolutionChain(sp.evolution_chain.url, { signal })
+            .then((evo) => !signal.aborted && setEvoTree(parseEvolutionChain(evo.chain)))
+            .catch(fail("evolution"));
+        }
+      } catch (e) {
+        fail("species")(e);
+      }
+
+      try {
+        setEncLoading(true);
+        const raw = await fetchEncounters(pokemon.id, { signal });
+        if (signal.aborted) return;
+        const norm = normalizeEncounterData(raw);
+        setEnc(norm);
+        setSelectedVersion(ownedFirst(norm.versions, ownedGames)[0] || null);
+      } catch (e) {
+        fail("encounters")(e);
+      } finally {
+        if (!signal.aborted) setEncLoading(false);
+      }
+    })();
+
+    return () => controller.abort();
+  }, [pokemon.id, retryTick]);
+
+  const retry = () => setRetryTick((t) => t + 1);
+
+  const flavor = useMemo(() => (species ? bestEnglishFlavor(species) : ""), [species]);
+
+  // Evolution members are species, so their default-form key (the species id) is what counts.
+  const has = (id) => collection?.has(id);
+  const breedable = !species?.egg_groups?.some((g) => g.name === "no-eggs") || species?.is_baby;
+  const hints = evoTree && enc && !enc.versions.length ? obtainHints(evoTree, pokemon.id, { has, breedable }) : [];
+
+  const types = pokemon.types?.map((t) => t.type?.name).filter(Boolean) || [];
+  const weightKg = pokemon.weight ? (pokemon.weight / 10).toFixed(1) : "?";
+  const heightM = pokemon.height ? (pokemon.height / 10).toFixed(1) : "?";
+
+  const areas = selectedVersion ? enc?.byVersion?.[selectedVersion] || [] : [];
+  const methods = Array.from(new Set(areas.flatMap((a) => a.encounters.map((e) => e.method))));
+  // A filter picked for another game may not exist here; fall back to all.
+  const activeMethod = methods.includes(methodFilter) ? methodFilter : null;
+  const locations = areas
+    .map((a) => {
+      if (!activeMethod) return a;
+      const encounters = a.encounters.filter((e) => e.method === activeMethod);
+      return { ...a, encounters, maxChance: Math.max(0, ...encounters.map((e) => e.chance)) };
+    })
+    .filter((a) => a.encounters.length)
+    .sort((a, b) =>
+      encSort === "chance" ? b.maxChance - a.maxChance || a.location.localeCompare(b.location) : a.location.localeCompare(b.location)
+    );
+
+  return (
+    <div className="space-y-3">
+      <FuturisticPanel>
+        <div className="flex items-start justify-between gap-4">
+          <img
+            src={spriteOf(pokemon, shiny)}
+            alt={pokemon.name}
+            className="h-16 w-16 shrink-0 select-none drop-shadow-[0_10px_18px_rgba(16,185,129,0.25)]"
+            draggable={false}
+          />
+          <div className="flex-1">
+            <div className="text-lg font-extrabold text-white">
+              {titleCase(pokemon.name)}
+              {pokemon.formLabel && <span className="ml-2 text-sm font-bold text-emerald-200/80">{pokemon.formLabel}</span>}
+            </div>
+            <div className="mt-1 flex flex-wrap gap-2">
+              <Chip>{dexNo(pokemon.dexNumber ?? pokemon.id)}</Chip>
+              {pokemon.dexNumber != null && pokemon.dexNumber !== pokemon.id && <Chip>National {dexNo(pokemon.id)}</Chip>}
+              {shiny && <Chip>✦ Shiny</Chip>}
+              {boxSpot && <Chip>{boxSpotLabel(boxSpot)}</Chip>}
+              <Chip>{heightM} m</Chip>
+              <Chip>{weightKg} kg</Chip>
+              {types.map((t) => (
+                <Chip key={t}>{titleCase(t)}</Chip>
+              ))}
+            </div>
+            {detailsFailed && (
+              <RetryNote onRetry={onRetryDetails} className="mt-2">
+                Couldn’t load types and size.
+              </RetryNote>
+            )}
+          </div>
+          <div className="flex flex-col items-end gap-2">
+            <GlowButton
+              onClick={() => {
+                playCatchSfx();
+                onToggleCaught?.();
+              }}
+            >
+              {caught ? "Release" : "Catch"}
+            </GlowButton>
+            <div className={"text-xs font-semibold " + (caught ? "text-emerald-300" : "text-white/45")}>
+              {caught ? "Caught" : "Missing"}
+              {shiny && " (shiny)"}
+            </div>
+            {caught && (
+              <Toggle active={editing} onClick={() => setEditing((v) => !v)}>
+                {editing ? "Done" : "Edit record"}
+              </Toggle>
+            )}
+          </div>
+        </div>
+
+        {caught && record && !editing && recordSummary(record) && (
+          <div className="mt-2 text-xs text-emerald-100/80">{recordSummary(record)}</div>
+        )}
+        {caught && record && editing && <CatchRecordEditor key={pokemon.key} record={record} onChange={onUpdateRecord} />}
+
+        <div className="mt-3 text-sm leading-relaxed text-white/80">
+          {errors.species ? (
+            <RetryNote onRetry={retry}>Couldn’t load Dex flavor text.</RetryNote>
+          ) : flavor ? (
+            <span>{flavor}</span>
+          ) : (
+            <span className="text-white/50">Loading Pokédex entry…</span>
+          )}
+        </div>
+      </FuturisticPanel>
+
+      <FuturisticPanel>
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-extrabold text-white">Where to catch (by game)</div>
+          {encLoading && <div className="text-xs text-white/60">Scanning regions…</div>}
+        </div>
+
+        <div className="mt-3 flex flex-wrap gap-2">
+          {errors.encounters ? (
+            <RetryNote onRetry={retry}>Couldn’t load encounter data.</RetryNote>
+          ) : !enc ? null : enc.versions.length ? (
+            ownedFirst(enc.versions, ownedGames).map((v) => (
+              <button
+                key={v}
+                onClick={() => setSelectedVersion(v)}
+                title={ownedGames.includes(v) ? "You own this game" : undefined}
+                className={
+                  "rounded-xl border px-3 py-1.5 text-xs font-bold transition " +
+                  (v === selectedVersion
+                    ? "border-emerald-300/50 bg-emerald-400/15 text-emerald-100"
+                    : ownedGames.includes(v)
+                    ? "border-amber-300/40 bg-amber-300/10 text-amber-100 hover:bg-amber-300/20"
+                    : "border-white/10 bg-white/5 text-white/70 hover:bg-white/10 hover:text-white")
+                }
+              >
+                {ownedGames.includes(v) && <span className="mr-1 text-amber-300">★</span>}
+                {versionLabel(v)}
+              </button>
+            ))
+          ) : (
+            <div className="text-sm text-white/60">
+              {hints.length
+                ? "Not found in the wild — here’s how to get one:"
+                : "No encounter data found here (some Pokémon are gift-only, event-only, or not in the wild)."}
+            </div>
+          )}
+        </div>
+
+        {hints.length > 0 && (
+          <ul className="mt-2 space-y-1 text-sm text-emerald-100/90">
+            {hints.map((h) => (
+              <li key={h.text} className="flex items-start gap-2">
+                <span className="mt-1.5 inline-block h-1.5 w-1.5 shrink-0 rounded-full bg-emerald-300/70" />
+                {h.relativeId ? (
+                  <button onClick={() => onJumpToId?.(h.relativeId)} className="text-left hover:text-emerald-200 hover:underline">
+                    {h.text}
+                  </button>
+                ) : (
+                  <span>{h.text}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="mt-3 rounded-2xl border border-white/10 bg-black/25 p-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="text-xs font-extrabold text-white/80">{selectedVersion ? versionLabel(selectedVersion) : "Select a game"}</div>
+            {areas.length > 1 && (
+              <div className="flex gap-1">
+                <Toggle active={encSort === "chance"} onClick={() => setEncSort("chance")}>By chance</Toggle>
+                <Toggle active={encSort === "name"} onClick={() => setEncSort("name")}>A–Z</Toggle>
+              </div>
+            )}
+          </div>
+          {methods.length > 1 && (
+            <div className="mt-2 flex flex-wrap gap-1">
+              <Toggle active={!activeMethod} onClick={() => setMethodFilter(null)}>All methods</Toggle>
+              {methods.map((m) => (
+                <Toggle key={m} active={activeMethod === m} onClick={() => setMethodFilter(m)}>
+                  {methodLabel(m)}
+                </Toggle>
+              ))}
+            </div>
+          )}
+          {selectedVersion ? (
+            locations.length ? (
+              <ul className="mt-2 max-h-56 space-y-2 overflow-auto pr-1 text-sm text-white/80">
+                {locations.map((a) => (
+                  <li key={a.location} className="flex items-start gap-2">
+                    <span className="mt-1.5 inline-block h-1.5 w-1.5 shrink-0 rounded-full bg-emerald-300/70" />
+                    <div>
+                      <div>{prettyLocationArea(a.location)}</div>
+                      {a.encounters.map((e) => (
+                        <div key={e.method + e.conditions.join()} className="text-xs text-white/55">
+                          {encounterSummary(e)}
+                        </div>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="mt-2 text-sm text-white/60">No wild locations listed for this version.</div>
+            )
+          ) : (
+            <div className="mt-2 text-sm text-white/60">Pick a game button to show locations.</div>
+          )}
+        </div>
+
+        <div className="mt-3 text-xs text-white/50">
+          Tip: encounter data comes from PokeAPI and reflects “location areas” used by the games’ internal data.
+        </div>
+      </FuturisticPanel>
+
+      {errors.evolution && (
+        <FuturisticPanel>
+          <RetryNote onRetry={retry}>Couldn’t load the evolution line.</RetryNote>
+        </FuturisticPanel>
+      )}
+
+      {evoTree && evoTree.children.length > 0 && (
+        <FuturisticPanel>
+          <div className="text-sm font-extrabold text-white">Evolution line</div>
+          <div className="no-scrollbar mt-3 overflow-x-auto pb-1">
+            <EvolutionNode node={evoTree} currentId={pokemon.id} has={has} shiny={shiny} onJumpToId={onJumpToId} />
+          </div>
+        </FuturisticPanel>
+      )}
+    </div>
+  );
+}
+
+const todayStamp = () => new Date().toISOString().slice(0, 10);
+
+function BackupPanel({ items, dexKey, caughtNormal, caughtShiny, shiny, settings, sync, onApply, onClose }) {
+  const [preview, setPreview] = useState(null); // { fileName, parsed } | { fileName, error }
+  const [strategy, setStrategy] = useState("merge"); // merge | replace
+  const [busy, setBusy] = useState(false);
+  const speciesIdsRef = useRef(null);
+
+  const byKey = useMemo(() => new Map(items.map((p) => [p.key, p])), [items]);
+  const labelFor = (key) => {
+    const p = byKey.get(key);
+    if (p) return titleCase(p.name) + (p.formLabel ? ` (${p.formLabel})` : "");
+    if (typeof key === "number") {
+      const hit = speciesIdsRef.current?.find(([, id]) => id === key);
+      return hit ? titleCase(hit[0]) : dexNo(key);
+    }
+    return titleCase(String(key));
+  };
+
+  const onFile = async (file) => {
+    if (!file) return;
+    setBusy(true);
+    try {
+      const text = await file.text();
+      // Spreadsheets use names, so we need every species name, not just this dex.
+      if (!speciesIdsRef.current) speciesIdsRef.current = await fetchSpeciesIndex().catch(() => []);
+      const parsed = parseImportFile(text, file.name, {
+        resolve: makeImportResolver(speciesIdsRef.current, items),
+        activeCollection: shiny ? "shiny" : "normal",
+      });
+      setPreview({ fileName: file.name, parsed });
+    } catch (e) {
+      setPreview({ fileName: file.name, error: e?.message || "Couldn’t read that file." });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const current = { normal: caughtNormal, shiny: caughtShiny };
+  const diffs = preview?.parsed
+    ? Object.entries(preview.parsed.collections).map(([name, incoming]) => {
+        const d = diffCaught(current[name], incoming);
+        return { name, added: d.added, removed: strategy === "replace" ? d.removed : [] };
+      })
+    : [];
+
+  const nameList = (keys, tone) => (
+    <div className={"mt-1 text-xs " + tone}>
+      {keys.slice(0, 30).map(labelFor).join(", ")}
+      {keys.length > 30 && <span className="text-white/40"> +{keys.length - 30} more</span>}
+    </div>
+  );
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 grid place-items-center overflow-auto bg-black/70 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Backup & Import"
+    >
+      <FuturisticPanel className="w-full max-w-2xl">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-white">Backup & Import</div>
+          <Toggle onClick={onClose} aria-label="Close">✕</Toggle>
+        </div>
+
+        <div className="mt-4 text-sm font-extrabold text-white">Export</div>
+        <div className="mt-2 flex flex-wrap gap-2">
+          <GlowButton
+            onClick={() =>
+              downloadFile(`living-dex-${dexKey}-${todayStamp()}.csv`, buildCsvExport(items, caughtNormal, caughtShiny), "text/csv")
+            }
+          >
+            Export CSV
+          </GlowButton>
+          <GlowButton
+            onClick={() =>
+              downloadFile(
+                `living-dex-backup-${todayStamp()}.json`,
+                buildJsonBackup({ caughtNormal, caughtShiny, settings }),
+                "application/json"
+              )
+            }
+          >
+            Export JSON backup
+          </GlowButton>
+        </div>
+        <div className="mt-2 text-xs text-white/50">
+          CSV covers the current dex (normal + shiny columns). The JSON backup holds everything and can be re-imported.
+        </div>
+
+        <div className="mt-5 text-sm font-extrabold text-white">Import</div>
+        <input
+          type="file"
+          accept=".csv,.json,.txt,text/csv,application/json"
+          onChange={(e) => {
+            onFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+          className="mt-2 block w-full text-sm text-white/70 file:mr-3 file:rounded-xl file:border-0 file:bg-white/10 file:px-3 file:py-2 file:text-sm file:font-bold file:text-white hover:file:bg-white/15"
+        />
+        <div className="mt-2 text-xs text-white/50">
+          Accepts our CSV/JSON, or any spreadsheet with a name or number column (optionally a caught/owned column).
+        </div>
+
+        {busy && <div className="mt-3 text-sm text-white/60">Reading file…</div>}
+
+        {preview?.error && (
+          <div className="mt-3 text-sm text-rose-200">
+            {preview.fileName}: {preview.error}
+          </div>
+        )}
+
+        {preview?.parsed && (
+          <div className="mt-3 rounded-2xl border border-white/10 bg-black/25 p-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-xs font-extrabold text-white/80">
+                {preview.fileName} · {preview.parsed.rows} rows
+              </div>
+              <div className="flex gap-2">
+                <Toggle active={strategy === "merge"} onClick={() => setStrategy("merge")}>Merge</Toggle>
+                <Toggle active={strategy === "replace"} onClick={() => setStrategy("replace")}>Replace</Toggle>
+              </div>
+            </div>
+
+            {diffs.map((d) => (
+              <div key={d.name} className="mt-3">
+                <div className="text-sm font-bold text-white">{d.name === "shiny" ? "✦ Shiny collection" : "Normal collection"}</div>
+                <div className="text-xs text-emerald-200">+{d.added.length} added</div>
+                {d.added.length > 0 && nameList(d.added, "text-emerald-100/80")}
+                {strategy === "replace" && (
+                  <>
+                    <div className="mt-1 text-xs text-rose-200">−{d.removed.length} removed</div>
+                    {d.removed.length > 0 && nameList(d.removed, "text-rose-100/70")}
+                  </>
+                )}
+              </div>
+            ))}
+
+            {preview.parsed.unknown.length > 0 && (
+              <div className="mt-3">
+                <div className="text-xs text-amber-200">{preview.parsed.unknown.length} unknown (skipped)</div>
+                <div className="mt-1 text-xs text-amber-100/70">
+                  {preview.parsed.unknown.slice(0, 30).join(", ")}
+                  {preview.parsed.unknown.length > 30 && ` +${preview.parsed.unknown.length - 30} more`}
+                </div>
+              </div>
+            )}
+
+            <div className="mt-4 flex justify-end gap-2">
+              <Toggle onClick={() => setPreview(null)}>Cancel</Toggle>
+              <GlowButton
+                disabled={!diffs.length}
+                onClick={() => {
+                  onApply(preview.parsed.collections, strategy);
+                  setPreview(null);
+                  onClose();
+                }}
+              >
+                {strategy === "replace" ? "Replace progress" : "Merge into progress"}
+              </GlowButton>
+            </div>
+          </div>
+        )}
+
+        <div className="mt-5 text-sm font-extrabold text-white">Sync</div>
+        <div className="mt-2">
+          <SyncControl {...sync} labelOf={labelFor} />
+        </div>
+        <div className="mt-2 text-xs text-white/50">
+          Keeps this profile’s caught Pokémon, catch records and lists in step across devices through a server you choose.
+          Use the same URL and sync code on each device. Changes made offline are queued and sent later.
+        </div>
+
+        <div className="mt-5 text-sm font-extrabold text-white">Offline cache</div>
+        <div className="mt-2">
+          <CacheControl />
+        </div>
+        <div className="mt-2 text-xs text-white/50">
+          PokeAPI data you’ve browsed is kept on this device so the dex loads instantly and works offline. Clearing it
+          never touches your caught Pokémon.
+        </div>
+
+        <div className="mt-5 text-sm font-extrabold text-white">Data source</div>
+        <div className="mt-2">
+          <DataSourceControl />
+        </div>
+        <div className="mt-2 text-xs text-white/50">
+          Point the app at your own PokeAPI copy, or a folder with a PokeAPI static dump and the sprites repo, to run it
+          without internet access.
+        </div>
+      </FuturisticPanel>
+    </motion.div>
+  );
+}
+
+function CacheControl() {
+  const [stats, setStats] = useState(null);
+  const [clearing, setClearing] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    cacheStats().then((s) => alive && setStats(s));
+    return () => {
+      alive = false;
+    };
+  }, [clearing]);
+
+  return (
+    <div className="flex items-center justify-between gap-3 rounded-2xl border border-white/10 bg-black/25 p-3">
+      <div className="text-xs text-white/60">
+        {stats ? (
+          <>
+            <span className="font-bold text-white/80">{formatBytes(stats.bytes)}</span> · {stats.count} saved responses
+          </>
+        ) : (
+          "Measuring…"
+        )}
+      </div>
+      <Toggle
+        onClick={async () => {
+          setClearing(true);
+          await clearCaches();
+          setClearing(false);
+        }}
+      >
+        {clearing ? "Clearing…" : "Clear cache"}
+      </Toggle>
+    </div>
+  );
+}
+
+function DataSourceControl() {
+  const [draft, setDraft] = useState(dataSource);
+  const inputClass =
+    "w-full rounded-xl border border-white/15 bg-black/30 px-3 py-1.5 text-sm text-white/90 placeholder:text-white/40 outline-none focus:ring-2 focus:ring-emerald-300/40";
+
+  if (pinnedDataSource) {
+    return (
+      <div className="text-xs text-white/60">
+        This copy is set up to use {DATA_SOURCE_KINDS[dataSource.kind]} at <span className="text-white/80">{dataSource.apiBase}</span>.
+      </div>
+    );
+  }
+
+  const custom = draft.kind !== "pokeapi";
+  // The PokeAPI default isn't a mirror or a dump, so a custom kind starts (and counts) as empty.
+  const apiBase = draft.apiBase === POKEAPI_BASE ? "" : draft.apiBase || "";
+  const changed = JSON.stringify(normalizeDataSource(draft)) !== JSON.stringify(dataSource);
+
+  return (
+    <div className="space-y-2 rounded-2xl border border-white/10 bg-black/25 p-3">
+      <select
+        value={draft.kind}
+        onChange={(e) => setDraft((d) => ({ ...d, kind: e.target.value, apiBase: d.apiBase === POKEAPI_BASE ? "" : d.apiBase }))}
+        className="rounded-xl border border-white/15 bg-black/30 px-3 py-1.5 text-sm font-semibold text-white/90 outline-none focus:ring-2 focus:ring-emerald-300/40"
+      >
+        {Object.entries(DATA_SOURCE_KINDS).map(([k, label]) => (
+          <option key={k} value={k}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {custom && (
+        <>
+          <input
+            value={apiBase}
+            onChange={(e) => setDraft((d) => ({ ...d, apiBase: e.target.value }))}
+            placeholder={draft.kind === "static" ? "./api-data/data/api/v2/" : "https://pokeapi.example.com/api/v2/"}
+            className={inputClass}
+          />
+          <input
+            value={draft.spriteBase === POKEAPI_SPRITES ? "" : draft.spriteBase}
+            onChange={(e) => setDraft((d) => ({ ...d, spriteBase: e.target.value }))}
+            placeholder="Sprites folder (leave empty for GitHub)"
+            className={inputClass}
+          />
+        </>
+      )}
+      {changed && (
+        <div className="flex justify-end">
+          <GlowButton
+            disabled={custom && !apiBase.trim()}
+            onClick={() => {
+              savePref(LS_DATA_SOURCE_KEY, normalizeDataSource(draft));
+              location.reload();
+            }}
+          >
+            Save & reload
+          </GlowButton>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sync settings, status and conflict reports for the active profile (see "Sync").
+function SyncControl({ config, state, status, labelOf, onChange, onSyncNow, onClearConflicts }) {
+  const [draft, setDraft] = useState(() => config || { endpoint: "", code: newSyncCode(), token: "" });
+  const inputClass =
+    "w-full rounded-xl border border-white/15 bg-black/30 px-3 py-1.5 text-sm text-white/90 placeholder:text-white/40 outline-none focus:ring-2 focus:ring-emerald-300/40";
+
+  const next = normalizeSyncConfig(draft);
+  const changed = JSON.stringify(next) !== JSON.stringify(config && normalizeSyncConfig(config));
+  const entryLabel = (name) => {
+    const { part, key } = parseSyncEntry(name);
+    return part === "lists" ? `List “${key}”` : labelOf(key) + (part === "shiny" ? " ✦" : "");
+  };
+
+  return (
+    <div className="space-y-2 rounded-2xl border border-white/10 bg-black/25 p-3">
+      <input
+        value={draft.endpoint}
+        onChange={(e) => setDraft((d) => ({ ...d, endpoint: e.target.value }))}
+        placeholder="https://sync.example.com/sync"
+        aria-label="Sync server URL"
+        className={inputClass}
+      />
+      <div className="flex gap-2">
+        <input
+          value={draft.code}
+          onChange={(e) => setDraft((d) => ({ ...d, code: e.target.value }))}
+          placeholder="Sync code"
+          aria-label="Sync code"
+          className={inputClass + " font-mono"}
+        />
+        <Toggle onClick={() => setDraft((d) => ({ ...d, code: newSyncCode() }))}>New code</Toggle>
+      </div>
+      <input
+        type="password"
+        value={draft.token}
+        onChange={(e) => setDraft((d) => ({ ...d, token: e.target.value }))}
+        placeholder="Access token (optional)"
+        aria-label="Access token"
+        className={inputClass}
+      />
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className={"text-xs " + (status.state === "error" ? "text-rose-200" : status.state === "offline" ? "text-amber-200" : "text-white/60")}>
+          {config ? syncStatusText(status, state) : "Off"}
+          {status.state === "error" && status.error && <span className="text-white/45"> · {status.error}</span>}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {config && !changed && <Toggle onClick={onSyncNow}>Sync now</Toggle>}
+          {config && <Toggle onClick={() => onChange(null)}>Turn off</Toggle>}
+          {changed && (
+            <GlowButton disabled={!syncReady(next)} onClick={() => onChange(next)}>
+              {config ? "Save" : "Start syncing"}
+            </GlowButton>
+          )}
+        </div>
+      </div>
+
+      {state.conflicts.length > 0 && (
+        <div className="border-t border-white/10 pt-2">
+          <div className="flex items-center justify-between">
+            <div className="text-xs font-bold text-amber-200">Conflicts ({state.conflicts.length})</div>
+            <Toggle onClick={onClearConflicts}>Clear</Toggle>
+          </div>
+          <div className="no-scrollbar mt-1 max-h-40 space-y-1 overflow-auto">
+            {state.conflicts.map((c, i) => (
+              <div key={`${c.entry}-${c.at}-${i}`} className="text-xs text-white/60">
+                <span className="font-semibold text-white/85">{entryLabel(c.entry)}</span>: this device{" "}
+                {describeSyncValue(c.entry, c.local)}, other device {describeSyncValue(c.entry, c.remote)}. Kept{" "}
+                <span className="text-white/85">{c.kept === "local" ? "this device’s" : "the other device’s"}</span>
+                <span className="text-white/35"> · {new Date(c.at).toLocaleString()}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProfilesPanel({ profiles, activeId, onSwitch, onCreate, onRename, onDuplicate, onDelete, onClose }) {
+  const [newName, setNewName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [confirmDelete, setConfirmDelete] = useState(null); // profile id
+
+  const inputClass =
+    "rounded-xl border border-white/15 bg-black/30 px-3 py-1.5 text-sm text-white/90 placeholder:text-white/40 outline-none focus:ring-2 focus:ring-emerald-300/40";
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 grid place-items-center overflow-auto bg-black/70 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Save profiles"
+    >
+      <FuturisticPanel className="w-full max-w-lg">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-white">Save profiles</div>
+          <Toggle onClick={onClose} aria-label="Close">✕</Toggle>
+        </div>
+        <div className="mt-1 text-xs text-white/50">Each profile keeps its own caught data, dex mode and settings.</div>
+
+        <div className="mt-4 space-y-2">
+          {profiles.map((p) => (
+            <div
+              key={p.id}
+              className={
+                "flex items-center justify-between gap-2 rounded-2xl border p-2 " +
+                (p.id === activeId ? "border-emerald-300/30 bg-emerald-400/10" : "border-white/10 bg-white/5")
+              }
+            >
+              {editing?.id === p.id ? (
+                <form
+                  className="flex flex-1 gap-2"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    if (editing.name.trim()) onRename(p.id, editing.name.trim());
+                    setEditing(null);
+                  }}
+                >
+                  <input autoFocus value={editing.name} onChange={(e) => setEditing({ id: p.id, name: e.target.value })} className={inputClass + " flex-1"} />
+                  <Toggle active>Save</Toggle>
+                </form>
+              ) : (
+                <button onClick={() => onSwitch(p.id)} className="flex-1 truncate text-left text-sm font-bold text-white">
+                  {p.name}
+                  {p.id === activeId && <span className="ml-2 text-xs font-semibold text-emerald-200">active</span>}
+                </button>
+              )}
+
+              <div className="flex shrink-0 gap-1">
+                <Toggle onClick={() => setEditing({ id: p.id, name: p.name })}>Rename</Toggle>
+                <Toggle onClick={() => onDuplicate(p.id)}>Duplicate</Toggle>
+                {profiles.length > 1 &&
+                  (confirmDelete === p.id ? (
+                    <button
+                      onClick={() => {
+                        onDelete(p.id);
+                        setConfirmDelete(null);
+                      }}
+                      className="rounded-xl bg-rose-500/80 px-3 py-1.5 text-sm font-semibold text-white hover:bg-rose-500"
+                    >
+                      Confirm
+                    </button>
+                  ) : (
+                    <Toggle onClick={() => setConfirmDelete(p.id)}>Delete</Toggle>
+                  ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <form
+          className="mt-4 flex gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (!newName.trim()) return;
+            onCreate(newName.trim());
+            setNewName("");
+          }}
+        >
+          <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="New profile name…" className={inputClass + " flex-1"} />
+          <GlowButton disabled={!newName.trim()}>Create</GlowButton>
+        </form>
+      </FuturisticPanel>
+    </motion.div>
+  );
+}
+
+function GamesPanel({ owned, onChange, onClose }) {
+  const toggle = (v) => onChange(owned.includes(v) ? owned.filter((g) => g !== v) : [...owned, v]);
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 grid place-items-center overflow-auto bg-black/70 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+      role="dialog"
+      aria-modal="true"
+      aria-label="My games"
+    >
+      <FuturisticPanel className="w-full max-w-lg">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-white">My games</div>
+          <Toggle onClick={onClose} aria-label="Close">✕</Toggle>
+        </div>
+        <div className="mt-1 text-xs text-white/50">
+          Games you own come first in “Where to catch”, and the list can show what they can get you.
+        </div>
+
+        <div className="mt-4 flex flex-wrap gap-2">
+          {Object.entries(VERSION_LABELS).map(([v, label]) => (
+            <Toggle key={v} active={owned.includes(v)} onClick={() => toggle(v)}>
+              {label}
+            </Toggle>
+          ))}
+        </div>
+
+        <div className="mt-4 flex items-center justify-between text-xs text-white/55">
+          <span>
+            <span className="font-bold text-white/80">{owned.length}</span> owned
+          </span>
+          {owned.length > 0 && <Toggle onClick={() => onChange([])}>Clear</Toggle>}
+        </div>
+      </FuturisticPanel>
+    </motion.div>
+  );
+}
+
+const ACTIVITY_PAGE = 200;
+
+// Activity log: newest first, filtered by date range and event type; the CSV export takes the filter.
+function ActivityPanel({ events, profileName, onClear, onClose }) {
+  const [from, setFrom] = useState(""); // yyyy-mm-dd, inclusive
+  const [to, setTo] = useState("");
+  const [type, setType] = useState("all");
+  const [shown, setShown] = useState(ACTIVITY_PAGE);
+  const [confirmClear, setConfirmClear] = useState(false);
+
+  // Dates compare in local time, like the inputs show them.
+  const filtered = useMemo(
+    () =>
+      events
+        .filter((e) => (type === "all" || e.type === type) && (!from || localDay(e.at) >= from) && (!to || localDay(e.at) <= to))
+        .reverse(),
+    [events, type, from, to]
+  );
+
+  const inputClass =
+    "rounded-xl border border-white/15 bg-black/30 px-2 py-1 text-sm text-white/90 outline-none focus:ring-2 focus:ring-emerald-300/40";
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 grid place-items-center overflow-auto bg-black/70 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+      role="dialog"
+      aria-modal="true"
+      aria-label="History"
+    >
+      <FuturisticPanel className="w-full max-w-2xl">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-white">History</div>
+          <Toggle onClick={onClose} aria-label="Close">✕</Toggle>
+        </div>
+        <div className="mt-1 text-xs text-white/50">
+          Everything caught, released, edited or imported in this profile (last {ACTIVITY_LIMIT.toLocaleString()} events).
+          Ctrl+Z / Ctrl+Shift+Z undo and redo this session’s changes.
+        </div>
+
+        <div className="mt-4 flex flex-wrap items-center gap-2 text-xs text-white/60">
+          <label className="flex items-center gap-1.5">
+            From <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-1.5">
+            To <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+          </label>
+          <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Event type" className={inputClass}>
+            <option value="all">All events</option>
+            {Object.entries(ACTIVITY_TYPES).map(([t, { label }]) => (
+              <option key={t} value={t}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <Toggle
+            disabled={!filtered.length}
+            onClick={() =>
+              downloadFile(
+                `living-dex-history-${slugName(profileName || "profile")}-${todayStamp()}.csv`,
+                activityCsv(filtered.slice().reverse()),
+                "text/csv"
+              )
+            }
+          >
+            Export CSV
+          </Toggle>
+        </div>
+
+        <div className="no-scrollbar mt-3 max-h-[50vh] space-y-1 overflow-auto">
+          {filtered.slice(0, shown).map((e, i) => (
+            <div key={`${e.at}-${i}`} className="flex items-baseline gap-3 rounded-lg bg-white/[0.03] px-2 py-1.5 text-sm">
+              <span className="w-32 shrink-0 text-xs text-white/45">{new Date(e.at).toLocaleString()}</span>
+              <span className={"w-16 shrink-0 text-xs font-bold " + (ACTIVITY_TYPES[e.type]?.className || "text-white/60")}>
+                {ACTIVITY_TYPES[e.type]?.label || e.type}
+              </span>
+              <span className="min-w-0 flex-1 text-white/85">
+                {e.text}
+                {e.shiny && <span className="ml-1.5 text-xs text-amber-200/80">✦ shiny</span>}
+              </span>
+            </div>
+          ))}
+          {!filtered.length && <div className="py-6 text-center text-sm text-white/45">Nothing here yet.</div>}
+          {filtered.length > shown && (
+            <div className="pt-1 text-center">
+              <Toggle onClick={() => setShown((n) => n + ACTIVITY_PAGE)}>Show more ({filtered.length - shown} left)</Toggle>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4 flex items-center justify-between text-xs text-white/55">
+          <span>
+            <span className="font-bold text-white/80">{filtered.length}</span> of {events.length} events
+          </span>
+          {events.length > 0 &&
+            (confirmClear ? (
+              <button
+                onClick={() => {
+                  onClear();
+                  setConfirmClear(false);
+                }}
+                className="rounded-xl bg-rose-500/80 px-3 py-1.5 text-sm font-semibold text-white hover:bg-rose-500"
+              >
+                Confirm
+              </button>
+            ) : (
+              <Toggle onClick={() => setConfirmClear(true)}>Clear log</Toggle>
+            ))}
+        </div>
+      </FuturisticPanel>
+    </motion.div>
+  );
+}
+
+// Small Pokéball in an achievement kind's colour, faded while locked.
+function BallBadge({ color, locked, className = "h-10 w-10" }) {
   return (
-    <button
-      onClick={onClick}
-      className={
-        "rounded-xl px-3 py-1.5 text-sm font-semibold transition " +
-        (active
-          ? "bg-white/15 text-white"
-          : "bg-white/5 text-white/70 hover:bg-white/10 hover:text-white")
-      }
+    <div
+      className={"relative shrink-0 rounded-full border border-white/20 " + className + (locked ? " opacity-30 grayscale" : "")}
+      style={{ background: `linear-gradient(${color} 0%, ${color} 46%, #111827 46%, #111827 54%, #f3f4f6 54%, #f3f4f6 100%)` }}
+    >
+      <div className="absolute left-1/2 top-1/2 h-[34%] w-[34%] -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-[#111827] bg-white" />
+    </div>
+  );
+}
+
+const CONFETTI_PIECES = 40;
+const CONFETTI_COLORS = ["#34d399", "#22d3ee", "#facc15", "#f472b6", "#a78bfa", "#ff3b3b", "#f3f4f6"];
+
+// Unlock overlay: the kind's Pokéball wobbles in over a burst of confetti (no confetti with reduced
+// motion). Click anywhere to dismiss; App hides it after CELEBRATE_MS.
+function AchievementCelebration({ achievement, more, shiny, onDone }) {
+  const reduced = usePrefersReducedMotion();
+  const kind = ACHIEVEMENT_KINDS[achievement.kind];
+  const pieces = useMemo(
+    () =>
+      Array.from({ length: CONFETTI_PIECES }, (_, i) => ({
+        color: CONFETTI_COLORS[i % CONFETTI_COLORS.length],
+        round: i % 3 === 0,
+        x: (Math.random() - 0.5) * 560,
+        rise: -80 - Math.random() * 220,
+        fall: 180 + Math.random() * 220,
+        rotate: (Math.random() - 0.5) * 720,
+        delay: 0.3 + Math.random() * 0.2,
+      })),
+    [achievement.id]
+  );
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-50 grid place-items-center overflow-hidden bg-black/40 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onDone}
+    >
+      {!reduced &&
+        pieces.map((c, i) => (
+          <motion.div
+            key={i}
+            className={"absolute left-1/2 top-1/2 h-2.5 w-1.5 " + (c.round ? "rounded-full" : "rounded-sm")}
+            style={{ background: c.color }}
+            initial={{ x: 0, y: 0, rotate: 0, opacity: 1 }}
+            animate={{ x: c.x, y: [0, c.rise, c.rise + c.fall], rotate: c.rotate, opacity: [1, 1, 0] }}
+            transition={{ duration: 1.8, delay: c.delay, ease: "easeOut" }}
+          />
+        ))}
+      <motion.div
+        className="relative flex max-w-sm flex-col items-center rounded-3xl border border-white/15 bg-[#0b0d16]/95 px-8 py-6 text-center shadow-[0_30px_90px_rgba(0,0,0,0.6)]"
+        initial={{ scale: 0.8, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        transition={{ type: "spring", stiffness: 260, damping: 18 }}
+      >
+        <motion.div animate={{ rotate: [0, 14, -14, 8, -8, 0] }} transition={{ duration: 0.8, ease: "easeInOut" }}>
+          <BallBadge color={kind.color} className="h-20 w-20" />
+        </motion.div>
+        <div className="mt-4 text-xs font-bold uppercase tracking-widest" style={{ color: kind.color }}>
+          Achievement unlocked{shiny && " ✦ Shiny"}
+        </div>
+        <div className="mt-1 text-2xl font-black text-white">{achievement.title}</div>
+        <div className="mt-1 text-sm text-white/60">{achievement.text}</div>
+        {more > 0 && <div className="mt-2 text-xs text-white/45">+{more} more. See Achievements.</div>}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Gallery for the active collection: earned achievements with their date, the rest with progress.
+function AchievementsPanel({ earned, ctx, shiny, onClose }) {
+  const suffix = shiny ? ":shiny" : "";
+  const count = ACHIEVEMENTS.filter((a) => earned[a.id + suffix]).length;
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 grid place-items-center overflow-auto bg-black/70 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Achievements"
     >
+      <FuturisticPanel className="w-full max-w-2xl">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-extrabold text-white">
+            Achievements{shiny && <span className="ml-2 text-amber-200">✦ Shiny</span>}
+          </div>
+          <Toggle onClick={onClose} aria-label="Close">✕</Toggle>
+        </div>
+        <div className="mt-1 text-xs text-white/50">
+          <span className="font-bold text-white/80">{count}</span> of {ACHIEVEMENTS.length} earned in this profile. The shiny
+          collection earns its own set.
+        </div>
+
+        <div className="no-scrollbar mt-4 grid max-h-[60vh] grid-cols-1 gap-2 overflow-auto sm:grid-cols-2">
+          {ACHIEVEMENTS.map((a) => {
+            const at = earned[a.id + suffix];
+            const p = !at && achievementProgress(a, ctx);
+            return (
+              <div
+                key={a.id}
+                className={"flex items-center gap-3 rounded-xl bg-white/[0.03] p-2.5 ring-1 " + (at ? "ring-white/15" : "ring-white/5")}
+              >
+                <BallBadge color={ACHIEVEMENT_KINDS[a.kind].color} locked={!at} />
+                <div className="min-w-0 flex-1">
+                  <div className={"text-sm font-bold " + (at ? "text-white" : "text-white/55")}>{a.title}</div>
+                  <div className="text-xs text-white/45">{a.text}</div>
+                  {at ? (
+                    <div className="mt-0.5 text-[11px] text-emerald-300/80">Earned {new Date(at).toLocaleDateString()}</div>
+                  ) : p ? (
+                    <div className="mt-1 flex items-center gap-2 text-[11px] text-white/45">
+                      <div className="h-1 flex-1 overflow-hidden rounded-full bg-white/5">
+                        <div className="h-full bg-emerald-400/60" style={{ width: `${Math.round((p.have / p.need) * 100)}%` }} />
+                      </div>
+                      {p.have} / {p.need}
+                    </div>
+                  ) : (
+                    <div className="mt-0.5 text-[11px] text-white/35">{a.kind === "line" ? "Checked as you catch" : "Loading…"}</div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </FuturisticPanel>
+    </motion.div>
+  );
+}
+
+// One completion row: label, count and a bar that turns gold when the bucket is complete.
+// `detail` replaces the "caught / total" text (e.g. game-of-origin rows show a share instead).
+function StatBar({ label, caught, total, detail }) {
+  const pct = total ? Math.round((caught / total) * 100) : 0;
+  const done = total > 0 && caught === total;
+  return (
+    <div className="text-xs">
+      <div className="flex items-baseline justify-between gap-2">
+        <span className="truncate font-semibold text-white/80">{label}</span>
+        <span className={"shrink-0 " + (done ? "text-amber-200" : "text-white/50")}>
+          {detail ?? `${caught} / ${total}`} · {pct}%
+        </span>
+      </div>
+      <div className="mt-1 h-1.5 w-full overflow-hidden rounded-full bg-white/5">
+        <div className={"h-full " + (done ? "bg-amber-300/80" : "bg-emerald-400/70")} style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
+function StatsSection({ title, children }) {
+  return (
+    <section>
+      <div className="mb-2 text-xs font-bold uppercase tracking-wide text-white/50">{title}</div>
       {children}
-    </button>
+    </section>
   );
 }
 
-function PokeballIntro({ done, onDone }) {
+// Step chart of the caught count (see catchTimeline), from the first dated catch to today.
+function ProgressChart({ timeline }) {
+  const { points, undated } = timeline;
+  if (!points.length) {
+    return (
+      <div className="py-6 text-center text-xs text-white/45">
+        No catch dates yet. They’re recorded as you catch, or can be set in a catch record.
+      </div>
+    );
+  }
+  const time = (day) => new Date(`${day}T00:00:00`).getTime();
+  const first = time(points[0].day);
+  const span = Math.max(DAY_MS, time(localDay(new Date().toISOString())) - first);
+  const top = points[points.length - 1].count;
+  const x = (day) => Math.round(Math.min(CHART_W, ((time(day) - first) / span) * CHART_W));
+  const y = (n) => Math.round(CHART_H - (n / top) * (CHART_H - 8));
+  let line = `M0 ${y(undated)}`;
+  for (const p of points) line += ` H${x(p.day)} V${y(p.count)}`;
+  line += ` H${CHART_W}`;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${CHART_W} ${CHART_H}`}
+        preserveAspectRatio="none"
+        className="h-40 w-full"
+        role="img"
+        aria-label={`Caught over time: ${undated ? `${undated} undated, then ` : ""}${top} by today`}
+      >
+        <line x1="0" x2={CHART_W} y1={y(top)} y2={y(top)} className="stroke-white/10" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+        <path d={`${line} V${CHART_H} H0 Z`} className="fill-emerald-400/10" />
+        <path d={line} fill="none" className="stroke-emerald-300" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="mt-1 flex justify-between text-[10px] text-white/45">
+        <span>{new Date(first).toLocaleDateString()}</span>
+        <span>{top} caught</span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+}
+
+// Completion by generation, type, category, region and game of origin, plus progress over time.
+// Types and regional dexes load with the view; categories take a request per species (cached).
+function StatsView({ items, caught, dexLabel }) {
+  const [types, setTypes] = useState(null); // gatherTypes result
+  const [flags, setFlags] = useState(null); // gatherSpeciesFlags result
+  const [regions, setRegions] = useState(null); // gatherRegionalDexes().dexes
+  const [scan, setScan] = useState({}); // { flags?, regions? }: { done, total } while loading
+  const [failed, setFailed] = useState([]); // what couldn't load
+  const [retryTick, setRetryTick] = useState(0);
+
+  const allIds = useMemo(() => Array.from(new Set(items.map((p) => p.id))), [items]);
+  const allIdsKey = allIds.join(",");
+  const progressOf = (what, signal) => (done, total) => !signal.aborted && setScan((s) => ({ ...s, [what]: { done, total } }));
+
   useEffect(() => {
-    if (done) return;
-    const t = setTimeout(() => onDone?.(), 1850);
-    return () => clearTimeout(t);
-  }, [done, onDone]);
+    const controller = new AbortController();
+    const { signal } = controller;
+    const fail = (what) => !signal.aborted && setFailed((f) => [...f, what]);
+    setFailed([]);
+    gatherTypes({ signal })
+      .then((res) => !signal.aborted && setTypes(res))
+      .catch((e) => !isAbortError(e) && fail("type data"));
+    gatherRegionalDexes({ signal, onProgress: progressOf("regions", signal) }).then((res) => {
+      if (signal.aborted) return;
+      setRegions(res.dexes);
+      if (res.failed.length) fail(`${res.failed.length} regional dexes`);
+    });
+    return () => controller.abort();
+  }, [retryTick]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    (async () => {
+      const res = await gatherSpeciesFlags(allIds, { signal, onProgress: progressOf("flags", signal) });
+      if (signal.aborted) return;
+      setFlags(res.flags);
+      if (res.failed.length) setFailed((f) => [...f, `${res.failed.length} species’ categories`]);
+    })();
+    return () => controller.abort();
+  }, [allIdsKey, retryTick]);
+
+  const stats = useMemo(() => {
+    const typesOf = (p) => types.byName[p.pokemon || p.name] || types.byId[p.id] || [];
+    const order = (keys) => (a, b) => keys.indexOf(a.key) - keys.indexOf(b.key);
+    const byGen = tally(items, caught, (p) => generationOf(p.id)).sort((a, b) => a.key - b.key);
+    const origins = new Map();
+    let caughtCount = 0;
+    for (const p of items) {
+      const rec = caught.get(p.key);
+      if (!rec) continue;
+      caughtCount += 1;
+      origins.set(rec.game || "", (origins.get(rec.game || "") || 0) + 1);
+    }
+    const timeline = catchTimeline(items, caught);
+    const recent = STATS_RECENT_DAYS.map((n) => {
+      const since = localDay(new Date(Date.now() - (n - 1) * DAY_MS).toISOString());
+      let count = 0;
+      for (const [day, c] of timeline.perDay) if (day >= since) count += c;
+      return [n, count];
+    });
+    return {
+      caughtCount,
+      byGen,
+      byType: types && tally(items, caught, typesOf).sort(order(POKEMON_TYPES)),
+      byCategory: flags && tally(items, caught, (p) => flags[p.id] && categoryOf(flags[p.id])).sort(order(Object.keys(CATEGORY_LABELS))),
+      // Most common first; entries with no game recorded go last.
+      origins: [...origins].sort(([a, x], [b, y]) => !a - !b || y - x),
+      timeline,
+      recent,
+      closest: byGen
+        .filter((b) => b.caught < b.total)
+        .sort((a, b) => b.caught / b.total - a.caught / a.total || a.total - a.caught - (b.total - b.caught))
+        .slice(0, STATS_CLOSEST),
+    };
+  }, [items, caught, types, flags]);
+
+  const byRegion = useMemo(
+    () => regions?.map((d) => ({ key: d.key, label: d.label, caught: d.ids.filter((id) => caught.has(id)).length, total: d.ids.length })),
+    [regions, caught]
+  );
+
+  const total = items.length;
+  const pct = total ? Math.round((stats.caughtCount / total) * 100) : 0;
+  const loadingNote = (what, label) => (
+    <div className="text-xs text-white/50">
+      {label}… {scan[what] ? `${scan[what].done} / ${scan[what].total}` : ""}
+    </div>
+  );
 
   return (
-    <AnimatePresence>
-      {!done && (
-        <motion.div
-          className="fixed inset-0 z-50 grid place-items-center bg-[#06070c]"
-          initial={{ opacity: 1 }}
-          exit={{ opacity: 0, transition: { duration: 0.35 } }}
-        >
-          <motion.div className="relative" initial={{ scale: 0.9, y: 12 }} animate={{ scale: 1, y: 0 }}>
-            <div className="absolute -inset-16 rounded-full bg-emerald-500/10 blur-3xl" />
-            <motion.div
-              className="relative h-40 w-40 rounded-full border border-white/20 shadow-[0_40px_120px_rgba(0,0,0,0.7)]"
-              style={{ background: "linear-gradient(#ff3b3b 0%, #ff3b3b 48%, #111827 48%, #111827 52%, #f3f4f6 52%, #f3f4f6 100%)" }}
-              animate={{ rotate: [0, 6, -6, 4, -4, 0] }}
-              transition={{ duration: 1.25, ease: "easeInOut" }}
-            >
-              <div className="absolute left-0 right-0 top-1/2 h-2 -translate-y-1/2 bg-black/80" />
-              <motion.div
-                className="absolute left-1/2 top-1/2 h-12 w-12 -translate-x-1/2 -translate-y-1/2 rounded-full bg-white shadow-[inset_0_0_0_8px_rgba(0,0,0,0.8)]"
-                animate={{ boxShadow: [
-                  "inset 0 0 0 8px rgba(0,0,0,0.8)",
-                  "inset 0 0 0 8px rgba(0,0,0,0.8), 0 0 24px rgba(16,185,129,0.65)",
-                  "inset 0 0 0 8px rgba(0,0,0,0.8)",
-                ] }}
-                transition={{ duration: 1.0, repeat: 1, ease: "easeInOut" }}
-              />
-              <motion.div
-                className="absolute inset-0 rounded-full"
-                animate={{ opacity: [0.0, 0.25, 0.0] }}
-                transition={{ duration: 1.2, ease: "easeInOut" }}
-                style={{ background: "radial-gradient(circle at 50% 50%, rgba(16,185,129,0.3), transparent 55%)" }}
-              />
-            </motion.div>
-            <motion.div
-              className="mt-6 text-center text-white/90"
-              initial={{ opacity: 0, y: 10 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: 0.25 }}
-            >
-              <div className="text-lg font-extrabold tracking-wide">Living Dex Tracker</div>
-              <div className="text-sm text-white/60">Opening Pokéball…</div>
-            </motion.div>
-          </motion.div>
-        </motion.div>
+    <FuturisticPanel>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-extrabold text-white">Progress Stats</div>
+        <div className="text-xs text-white/50">{dexLabel} Dex</div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Chip>
+          Caught <span className="ml-1 font-extrabold text-white">{stats.caughtCount}</span> / {total} ({pct}%)
+        </Chip>
+        <Chip>
+          Missing <span className="ml-1 font-extrabold text-white">{total - stats.caughtCount}</span>
+        </Chip>
+        {stats.recent.map(([n, count]) => (
+          <Chip key={n}>
+            Last {n} days <span className="ml-1 font-extrabold text-emerald-200">+{count}</span>
+          </Chip>
+        ))}
+      </div>
+
+      {failed.length > 0 && (
+        <RetryNote onRetry={() => setRetryTick((t) => t + 1)} className="mt-2 text-xs">
+          Couldn’t load {failed.join(", ")}.
+        </RetryNote>
       )}
-    </AnimatePresence>
+
+      <div className="mt-5 space-y-5">
+        <StatsSection title="Progress over time">
+          <ProgressChart timeline={stats.timeline} />
+          {stats.timeline.undated > 0 && stats.timeline.points.length > 0 && (
+            <div className="mt-1 text-[11px] text-white/40">
+              Includes {stats.timeline.undated} caught with no date, counted from the start.
+            </div>
+          )}
+        </StatsSection>
+
+        {stats.closest.length > 0 && (
+          <StatsSection title="Closest to completion">
+            <div className="flex flex-wrap gap-2">
+              {stats.closest.map((b) => (
+                <div key={b.key} className="rounded-xl bg-white/5 px-3 py-2 text-xs ring-1 ring-white/10">
+                  <div className="font-bold text-white/90">Generation {b.key}</div>
+                  <div className="text-white/55">
+                    {Math.round((b.caught / b.total) * 100)}% · <span className="text-emerald-200">{b.total - b.caught} to go</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </StatsSection>
+        )}
+
+        <div className="grid grid-cols-1 gap-5 sm:grid-cols-2">
+          <StatsSection title="By generation">
+            <div className="space-y-2">
+              {stats.byGen.map((b) => (
+                <StatBar key={b.key} label={`Generation ${b.key}`} caught={b.caught} total={b.total} />
+              ))}
+            </div>
+          </StatsSection>
+
+          <StatsSection title="By category">
+            {stats.byCategory ? (
+              <div className="space-y-2">
+                {stats.byCategory.map((b) => (
+                  <StatBar key={b.key} label={CATEGORY_LABELS[b.key]} caught={b.caught} total={b.total} />
+                ))}
+              </div>
+            ) : (
+              loadingNote("flags", "Loading species data")
+            )}
+          </StatsSection>
+
+          <StatsSection title="By type">
+            {stats.byType ? (
+              <div className="space-y-2">
+                {stats.byType.map((b) => (
+                  <StatBar key={b.key} label={titleCase(b.key)} caught={b.caught} total={b.total} />
+                ))}
+              </div>
+            ) : (
+              loadingNote("types", "Loading types")
+            )}
+          </StatsSection>
+
+          <StatsSection title="By regional dex">
+            {byRegion ? (
+              <div className="space-y-2">
+                {byRegion.map((b) => (
+                  <StatBar key={b.key} label={b.label} caught={b.caught} total={b.total} />
+                ))}
+              </div>
+            ) : (
+              loadingNote("regions", "Loading regional dexes")
+            )}
+          </StatsSection>
+
+          <StatsSection title="By game of origin">
+            {stats.origins.length ? (
+              <div className="space-y-2">
+                {stats.origins.map(([game, count]) => (
+                  <StatBar
+                    key={game}
+                    label={game ? versionLabel(game) : "Not recorded"}
+                    caught={count}
+                    total={stats.caughtCount}
+                    detail={`${count} caught`}
+                  />
+                ))}
+              </div>
+            ) : (
+              <div className="text-xs text-white/45">Nothing caught yet.</div>
+            )}
+          </StatsSection>
+        </div>
+      </div>
+    </FuturisticPanel>
   );
 }
 
-function Carousel({ items, selectedIndex, onSelect }) {
-  const scrollerRef = useRef(null);
+function MatrixView({ items, caught, dexKey, ownedGames, onJumpToId }) {
+  const [missingOnly, setMissingOnly] = useState(true);
+  const [mineOnly, setMineOnly] = useState(false);
+  const [scan, setScan] = useState(null); // { done, total } while fetching
+  const [data, setData] = useState(null); // { versionsOf, evolvesFrom, dexes, failed }
+  const [retryTick, setRetryTick] = useState(0);
+
+  // One row per species; a species counts as missing while any of its slots is.
+  const species = useMemo(() => {
+    const byId = new Map();
+    for (const p of items) {
+      const row = byId.get(p.id) || { id: p.id, name: p.name, dexNumber: p.dexNumber, sprite: p.sprite, missing: false };
+      if (!caught.has(p.key)) row.missing = true;
+      byId.set(p.id, row);
+    }
+    return [...byId.values()];
+  }, [items, caught]);
+  const rows = missingOnly ? species.filter((s) => s.missing) : species;
+  const versions = mineOnly && ownedGames.length ? Object.keys(VERSION_LABELS).filter((v) => ownedGames.includes(v)) : Object.keys(VERSION_LABELS);
+
+  const idsKey = rows.map((r) => r.id).join(",");
+  const scanned = useRef({ tick: null, ids: new Set() }); // what `data` covers
 
-  // Keep selected centered
   useEffect(() => {
-    const el = scrollerRef.current;
-    if (!el) return;
-    const child = el.children?.[selectedIndex];
-    if (!child) return;
-    child.scrollIntoView({ behavior: "smooth", inline: "center", block: "nearest" });
-  }, [selectedIndex]);
+    // Catching shrinks "Missing only"; releasing (or a new dex) adds rows. Only rows that weren't
+    // scanned yet are fetched, and the matrix stays up meanwhile. Retry starts over.
+    const s = scanned.current;
+    const same = s.tick === retryTick;
+    const ids = rows.map((r) => r.id).filter((id) => !same || !s.ids.has(id));
+    if (!ids.length) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    if (!same) setData(null);
+    setScan({ done: 0, total: ids.length });
+    (async () => {
+      const evo = await gatherEvolvesFrom(ids, { signal });
+      const { evolvesFrom } = evo;
+      // Ancestors too, so "evolve a wild relative" can be checked per game.
+      const all = new Set(ids);
+      for (const id of ids) {
+        for (let p = evolvesFrom[id]; p && !all.has(p); p = evolvesFrom[p]) all.add(p);
+      }
+      const enc = await gatherEncounterVersions([...all], {
+        signal,
+        onProgress: (done, total) => !signal.aborted && setScan({ done, total }),
+      });
+      const games = await gatherVersionDexes(Object.keys(VERSION_LABELS), { signal });
+      if (signal.aborted) return;
+      const dexes = Object.fromEntries(Object.entries(games.dexes).map(([v, d]) => [v, { ...d, species: new Set(d.species) }]));
+      const covered = same ? new Set([...s.ids, ...ids]) : new Set(ids);
+      scanned.current = { tick: retryTick, ids: covered };
+      setData((prev) => {
+        const earlier = same && prev ? prev.failed.filter((id) => !all.has(id)) : [];
+        const failed = [...new Set([...earlier, ...evo.failed, ...enc.failed])];
+        return { versionsOf: enc.versionsOf, evolvesFrom, dexes, failed, failedGames: games.failed };
+      });
+      setScan(null);
+    })();
+    return () => controller.abort();
+  }, [idsKey, retryTick]);
+
+  const cells = useMemo(
+    () => (data ? rows.map((r) => Object.keys(VERSION_LABELS).map((v) => availabilityIn(r.id, v, data))) : []),
+    [data, idsKey]
+  );
+  const column = (v) => Object.keys(VERSION_LABELS).indexOf(v);
+
+  const exportCsv = () => {
+    if (!data) return;
+    const header = ["dex_number", "national_number", "name", ...versions];
+    const body = rows.map((r, i) => [
+      r.dexNumber ?? r.id,
+      r.id,
+      r.name,
+      ...versions.map((v) => (cells[i][column(v)] === "none" ? "" : cells[i][column(v)])),
+    ]);
+    downloadFile(`living-dex-${dexKey}-availability-${todayStamp()}.csv`, toCSV([header, ...body]), "text/csv");
+  };
+
+  return (
+    <FuturisticPanel>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-extrabold text-white">Game Availability</div>
+        <div className="flex flex-wrap gap-2">
+          <Toggle active={missingOnly} onClick={() => setMissingOnly((v) => !v)}>Missing only</Toggle>
+          <Toggle active={mineOnly} onClick={() => setMineOnly((v) => !v)}>My games</Toggle>
+          <Toggle disabled={!data} onClick={exportCsv}>Export CSV</Toggle>
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-3 text-[11px] text-white/60">
+        {Object.entries(AVAILABILITY).map(([k, a]) => (
+          <span key={k} className="flex items-center gap-1.5">
+            <span className={"inline-block h-3 w-3 rounded " + a.className} />
+            {a.label}
+          </span>
+        ))}
+      </div>
+
+      {!data ? (
+        <div className="mt-3">
+          <div className="text-xs text-white/60">
+            Checking every game… {scan?.done || 0} / {scan?.total || 0}
+          </div>
+          <div className="mt-2 h-2 w-full overflow-hidden rounded-full bg-white/5">
+            <div className="h-full bg-emerald-400/70" style={{ width: `${scan?.total ? Math.round((scan.done / scan.total) * 100) : 0}%` }} />
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="mt-3 text-xs text-white/55">
+            <span className="font-bold text-white/80">{rows.length}</span> Pokémon × {versions.length} games
+          </div>
+          {(data.failed.length > 0 || data.failedGames.length > 0) && (
+            <RetryNote onRetry={() => setRetryTick((t) => t + 1)} className="mt-2 text-xs">
+              {[
+                data.failed.length && `${data.failed.length} Pokémon`,
+                data.failedGames.length && `${data.failedGames.length} games`,
+              ]
+                .filter(Boolean)
+                .join(" and ")}{" "}
+              couldn’t load.
+            </RetryNote>
+          )}
+          <MatrixTable rows={rows} versions={versions} cells={cells} column={column} ownedGames={ownedGames} onJumpToId={onJumpToId} />
+        </>
+      )}
+    </FuturisticPanel>
+  );
+}
+
+// Row stride: the h-6 sprite plus the table's border-spacing-0.5.
+const MATRIX_ROW_H = 24;
+const MATRIX_ROW_GAP = 2;
+
+// Rows are windowed (only those in view are mounted), with spacer rows for the rest.
+function MatrixTable({ rows, versions, cells, column, ownedGames, onJumpToId }) {
+  const scrollerRef = useRef(null);
+  const headRef = useRef(null);
+  const offsets = useMemo(() => Array.from({ length: rows.length + 1 }, (_, i) => i * (MATRIX_ROW_H + MATRIX_ROW_GAP)), [rows.length]);
+  const { pos, size } = useScrollViewport(scrollerRef, "y");
+  const head = headRef.current?.offsetHeight || 0;
+  const [first, last] = visibleRange(offsets, Math.max(0, pos - head), size);
+
+  return (
+    <div ref={scrollerRef} className="no-scrollbar mt-2 max-h-[480px] overflow-auto">
+      <table className="border-separate border-spacing-0.5 text-xs">
+        <thead ref={headRef}>
+          <tr>
+            <th className="sticky left-0 top-0 z-20 bg-[#06070c]" />
+            {versions.map((v) => (
+              <th key={v} className="sticky top-0 z-10 bg-[#06070c] px-0.5 pb-1 align-bottom">
+                <div
+                  className={"mx-auto whitespace-nowrap text-[10px] font-semibold " + (ownedGames.includes(v) ? "text-amber-200" : "text-white/60")}
+                  style={{ writingMode: "vertical-rl", transform: "rotate(180deg)" }}
+                >
+                  {VERSION_LABELS[v]}
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {first > 0 && <tr aria-hidden="true" style={{ height: offsets[first] - MATRIX_ROW_GAP }} />}
+          {rows.slice(first, last).map((r, j) => (
+            <tr key={r.id} style={{ height: MATRIX_ROW_H }}>
+              <td className="sticky left-0 z-10 bg-[#06070c] pr-2">
+                <button onClick={() => onJumpToId?.(r.id)} className="flex items-center gap-1.5 whitespace-nowrap text-left hover:text-emerald-200">
+                  <img src={r.sprite} alt={r.name} className="h-6 w-6" draggable={false} />
+                  <span className="text-white/40">{dexNo(r.dexNumber ?? r.id)}</span>
+                  <span className="font-semibold text-white/85">{titleCase(r.name)}</span>
+                </button>
+              </td>
+              {versions.map((v) => {
+                const state = cells[first + j][column(v)];
+                return (
+                  <td key={v} title={`${titleCase(r.name)} · ${versionLabel(v)}: ${AVAILABILITY[state].label}`}>
+                    <div className={"mx-auto h-4 w-4 rounded " + AVAILABILITY[state].className} />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          {last < rows.length && <tr aria-hidden="true" style={{ height: offsets[rows.length] - offsets[last] - MATRIX_ROW_GAP }} />}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function PlannerView({ missing, version, onVersionChange, onJumpToId }) {
+  const [scan, setScan] = useState(null); // { done, total } while fetching
+  const [result, setResult] = useState(null); // { bySpecies, failed }
+  const [open, setOpen] = useState(null); // expanded location
+  const [refreshTick, setRefreshTick] = useState(0);
+
+  // Only refetch when the *set* of missing species changes, not on every render.
+  const missingIds = useMemo(() => missing.map((p) => p.id), [missing]);
+  const idsKey = missingIds.join(",");
+  const scanned = useRef({ version: null, tick: null, ids: new Set() }); // what `result` covers
 
-  // Wheel horizontal
   useEffect(() => {
-    const el = scrollerRef.current;
-    if (!el) return;
-    const onWheel = (e) => {
-      if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) return; // already horizontal
-      e.preventDefault();
-      el.scrollLeft += e.deltaY;
-    };
-    el.addEventListener("wheel", onWheel, { passive: false });
-    return () => el.removeEventListener("wheel", onWheel);
-  }, []);
+    if (!version) return;
+    // Catching only shrinks the missing set, and the ranking is filtered by `missing` anyway: only
+    // species that weren't scanned yet (released ones) need a rescan, and the old list stays up meanwhile.
+    const s = scanned.current;
+    const same = s.version === version && s.tick === refreshTick;
+    if (same && missingIds.every((id) => s.ids.has(id))) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    if (!same) setResult(null);
+    (async () => {
+      const res = await gatherVersionEncounters(version, missingIds, {
+        signal,
+        onProgress: (done, total) => !signal.aborted && setScan({ done, total }),
+      });
+      if (signal.aborted) return;
+      scanned.current = { version, tick: refreshTick, ids: new Set(missingIds) };
+      setResult(res);
+      setScan(null);
+    })();
+    return () => controller.abort();
+  }, [version, idsKey, refreshTick]);
+
+  const ranked = useMemo(() => (result ? invertEncounters(result.bySpecies, missing) : []), [result, missing]);
+  const notWild = result ? missing.filter((p) => !(result.bySpecies[p.id] || []).length) : [];
+
+  return (
+    <FuturisticPanel>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-extrabold text-white">Hunting Planner</div>
+        <div className="flex gap-2">
+          <select
+            value={version || ""}
+            onChange={(e) => onVersionChange(e.target.value || null)}
+            className="rounded-xl border border-white/15 bg-black/30 px-3 py-1.5 text-sm font-semibold text-white/90 outline-none focus:ring-2 focus:ring-emerald-300/40"
+          >
+            <option value="">Pick a game…</option>
+            {Object.entries(VERSION_LABELS).map(([v, label]) => (
+              <option key={v} value={v}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {version && (
+            <Toggle
+              onClick={() => {
+                savePref(LS_PLANNER_CACHE_PREFIX + version, {});
+                encounterMemo.clear();
+                setRefreshTick((t) => t + 1);
+              }}
+            >
+              Refresh
+            </Toggle>
+          )}
+        </div>
+      </div>
+
+      {!version ? (
+        <div className="mt-3 text-sm text-white/60">Pick a game to see where your {missing.length} missing Pokémon live.</div>
+      ) : scan && !result ? (
+        <div className="mt-3">
+          <div className="text-xs text-white/60">
+            Scanning encounters… {scan.done} / {scan.total}
+          </div>
+          <div className="mt-2 h-2 w-full overflow-hidden rounded-full bg-white/5">
+            <div className="h-full bg-emerald-400/70" style={{ width: `${scan.total ? Math.round((scan.done / scan.total) * 100) : 0}%` }} />
+          </div>
+        </div>
+      ) : result ? (
+        <>
+          <div className="mt-3 text-xs text-white/55">
+            <span className="font-bold text-white/80">{ranked.length}</span> areas in {versionLabel(version)} ·{" "}
+            <span className="font-bold text-white/80">{missing.length - notWild.length}</span> of {missing.length} missing are wild there
+          </div>
+          {result.failed.length > 0 && (
+            <RetryNote onRetry={() => setRefreshTick((t) => t + 1)} className="mt-2 text-xs">
+              {result.failed.length} Pokémon couldn’t load.
+            </RetryNote>
+          )}
+
+          <div className="no-scrollbar mt-3 max-h-[420px] space-y-2 overflow-auto">
+            {ranked.map(({ location, hits }, i) => (
+              <div key={location} className="rounded-2xl border border-white/10 bg-white/5 p-2">
+                <button onClick={() => setOpen(open === location ? null : location)} className="flex w-full items-center justify-between gap-2 text-left">
+                  <div className="flex min-w-0 items-center gap-2">
+                    <span className="w-6 shrink-0 text-right text-xs text-white/40">{i + 1}</span>
+                    <span className="truncate text-sm font-bold text-white">{prettyLocationArea(location)}</span>
+                  </div>
+                  <Chip>{hits.length} missing</Chip>
+                </button>
+                <div className="mt-1 flex flex-wrap gap-1 pl-8">
+                  {hits.slice(0, 14).map(({ pokemon }) => (
+                    <img
+                      key={pokemon.id}
+                      src={pokemon.sprite}
+                      alt={pokemon.name}
+                      title={titleCase(pokemon.name)}
+                      onClick={() => onJumpToId?.(pokemon.id)}
+                      className="h-8 w-8 cursor-pointer select-none hover:scale-110"
+                      draggable={false}
+                    />
+                  ))}
+                  {hits.length > 14 && <span className="self-center text-xs text-white/45">+{hits.length - 14}</span>}
+                </div>
+                {open === location && (
+                  <ul className="mt-2 space-y-1 pl-8 text-xs text-white/70">
+                    {hits.map(({ pokemon, area }) => (
+                      <li key={pokemon.id}>
+                        <button onClick={() => onJumpToId?.(pokemon.id)} className="font-bold text-white hover:text-emerald-200">
+                          {titleCase(pokemon.name)}
+                        </button>
+                        <span className="text-white/50"> — {area.encounters.map(encounterSummary).join("; ")}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {notWild.length > 0 && (
+            <div className="mt-3 text-xs text-white/45">
+              Not in the wild in {versionLabel(version)}: {notWild.slice(0, 20).map((p) => titleCase(p.name)).join(", ")}
+              {notWild.length > 20 && ` +${notWild.length - 20} more`}
+            </div>
+          )}
+        </>
+      ) : null}
+    </FuturisticPanel>
+  );
+}
+
+function BoxView({ layout, caught, shiny, selectedKey, options, reserving, onOptionsChange, onToggleCaught }) {
+  const { boxes, where } = layout;
+  const [boxNo, setBoxNo] = useState(() => where.get(selectedKey)?.box || 1);
+  const box = boxes[clamp(boxNo, 1, boxes.length) - 1];
+
+  useEffect(() => {
+    if (boxNo > boxes.length) setBoxNo(Math.max(1, boxes.length));
+  }, [boxNo, boxes.length]);
+
+  const boxCaught = (b) => b.slots.filter((s) => caught.has(s.entry.key)).length;
 
   return (
-    <div className="relative">
-      <div className="pointer-events-none absolute left-0 top-0 h-full w-20 bg-gradient-to-r from-[#06070c] to-transparent" />
-      <div className="pointer-events-none absolute right-0 top-0 h-full w-20 bg-gradient-to-l from-[#06070c] to-transparent" />
+    <FuturisticPanel>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-extrabold text-white">Box Planner</div>
+        <div className="flex gap-2">
+          <Toggle active={options.perGeneration} onClick={() => onOptionsChange({ ...options, perGeneration: !options.perGeneration })}>
+            Box per generation
+          </Toggle>
+          <Toggle active={options.reserveForms} onClick={() => onOptionsChange({ ...options, reserveForms: !options.reserveForms })}>
+            Reserve form slots
+          </Toggle>
+        </div>
+      </div>
+      {reserving && (
+        <div className="mt-2 text-xs text-white/55" role="status">
+          Looking up forms… {reserving.done}/{reserving.total}
+        </div>
+      )}
 
-      <div
-        ref={scrollerRef}
-        className="no-scrollbar flex gap-4 overflow-x-auto scroll-smooth px-6 py-3"
-        style={{ scrollSnapType: "x mandatory" }}
-      >
-        {items.map((p, idx) => {
-          const active = idx === selectedIndex;
+      {/* Box strip: one chip per box, filled when complete */}
+      <div className="no-scrollbar mt-3 flex gap-1.5 overflow-x-auto pb-1">
+        {boxes.map((b) => {
+          const n = boxCaught(b);
+          const full = n === b.slots.length;
           return (
-            <motion.button
-              key={p.id}
-              onClick={() => onSelect(idx)}
+            <button
+              key={b.number}
+              onClick={() => setBoxNo(b.number)}
+              title={`Box ${b.number}: ${n}/${b.slots.length}`}
               className={
-                "relative flex h-28 w-24 shrink-0 flex-col items-center justify-center rounded-2xl border " +
-                (active
-                  ? "border-emerald-300/60 bg-white/10"
-                  : "border-white/10 bg-white/5 hover:bg-white/10")
+                "shrink-0 rounded-lg border px-2 py-1 text-[11px] font-bold transition " +
+                (b.number === box?.number
+                  ? "border-emerald-300/60 bg-white/15 text-white"
+                  : full
+                  ? "border-emerald-300/20 bg-emerald-400/15 text-emerald-100"
+                  : "border-white/10 bg-white/5 text-white/60 hover:bg-white/10")
               }
-              style={{ scrollSnapAlign: "center" }}
-              whileHover={{ y: -2 }}
-              whileTap={{ scale: 0.98 }}
-              animate={{ scale: active ? 1.04 : 1.0 }}
-              transition={{ type: "spring", stiffness: 320, damping: 26 }}
             >
-              <div className={"absolute inset-0 rounded-2xl " + (active ? "shadow-[0_0_0_1px_rgba(16,185,129,0.25),0_18px_50px_rgba(0,0,0,0.5)]" : "")}></div>
-              <img
-                src={p.sprite}
-                alt={p.name}
-                className={"h-14 w-14 select-none " + (active ? "drop-shadow-[0_10px_18px_rgba(16,185,129,0.25)]" : "opacity-90")}
-                draggable={false}
-              />
-              <div className="mt-1 w-full truncate px-2 text-center text-[11px] font-semibold text-white/85">
-                {titleCase(p.name)}
-              </div>
-              <div className="text-[10px] text-white/45">#{String(p.id).padStart(4, "0")}</div>
-            </motion.button>
+              {b.number}
+            </button>
           );
         })}
       </div>
 
-      {/* Center reticle */}
-      <div className="pointer-events-none absolute left-1/2 top-0 h-full w-0 -translate-x-1/2">
-        <div className="absolute top-1/2 h-14 w-14 -translate-x-1/2 -translate-y-1/2 rounded-2xl border border-emerald-300/30" />
-        <div className="absolute top-1/2 h-1 w-16 -translate-x-1/2 -translate-y-1/2 bg-emerald-400/30" />
+      {box ? (
+        <>
+          <div className="mt-3 flex items-center justify-between">
+            <button
+              onClick={() => setBoxNo((n) => clamp(n - 1, 1, boxes.length))}
+              className="rounded-xl bg-white/5 px-3 py-1.5 text-sm font-bold text-white/80 hover:bg-white/10"
+            >
+              ◀
+            </button>
+            <div className="text-center">
+              <div className="text-sm font-extrabold text-white">Box {box.number}</div>
+              <div className="text-xs text-white/50">
+                {boxCaught(box)} / {box.slots.length} caught
+              </div>
+            </div>
+            <button
+              onClick={() => setBoxNo((n) => clamp(n + 1, 1, boxes.length))}
+              className="rounded-xl bg-white/5 px-3 py-1.5 text-sm font-bold text-white/80 hover:bg-white/10"
+            >
+              ▶
+            </button>
+          </div>
+
+          <div className="mt-3 grid gap-1.5" style={{ gridTemplateColumns: `repeat(${BOX_COLS}, minmax(0, 1fr))` }}>
+            {Array.from({ length: BOX_SIZE }, (_, i) => {
+              const slot = box.slots[i];
+              if (!slot) return <div key={i} className="aspect-square rounded-xl border border-white/5 bg-white/[0.02]" />;
+              const p = slot.entry;
+              const isCaught = caught.has(p.key);
+              return (
+                <button
+                  key={p.key}
+                  onClick={() => {
+                    playCatchSfx();
+                    onToggleCaught(p.key);
+                  }}
+                  title={`${titleCase(p.name)}${p.formLabel ? ` (${p.formLabel})` : ""} · ${dexNo(p.dexNumber ?? p.id)} · Box ${box.number}, Slot ${i + 1}${isCaught ? " · caught" : ""}`}
+                  className={
+                    "relative grid aspect-square place-items-center rounded-xl border transition " +
+                    (isCaught
+                      ? "border-emerald-300/30 bg-emerald-400/10 hover:bg-emerald-400/20"
+                      : slot.reserved
+                      ? "border-dashed border-white/15 bg-white/[0.03] hover:bg-white/10"
+                      : "border-white/10 bg-white/5 hover:bg-white/10") +
+                    (p.key === selectedKey ? " ring-2 ring-emerald-300/60" : "")
+                  }
+                >
+                  <img
+                    src={spriteOf(p, shiny)}
+                    alt={p.name}
+                    draggable={false}
+                    className={"h-4/5 w-4/5 select-none object-contain " + (isCaught ? "" : "opacity-25 grayscale")}
+                  />
+                  <span className="absolute bottom-0.5 right-1 text-[9px] text-white/40">{i + 1}</span>
+                </button>
+              );
+            })}
+          </div>
+        </>
+      ) : (
+        <div className="mt-3 text-sm text-white/60">Nothing to box yet.</div>
+      )}
+
+      <div className="mt-3 text-xs text-white/45">
+        Click a slot to catch/release. Ghosted sprites are still missing; dashed slots are reserved for forms.
       </div>
-    </div>
+    </FuturisticPanel>
   );
 }
 
-function DexSidePanel({ pokemon, caught, onToggleCaught }) {
-  const [species, setSpecies] = useState(null);
-  const [enc, setEnc] = useState(null);
-  const [encLoading, setEncLoading] = useState(false);
-  const [selectedVersion, setSelectedVersion] = useState(null);
-  const [error, setError] = useState(null);
+// Where `target` ({ key, id }) lives in `list`: the exact slot, else any slot of that species.
+function indexOfSlot(list, target) {
+  if (!target) return 0;
+  const exact = list.findIndex((p) => p.key === target.key);
+  if (exact >= 0) return exact;
+  return Math.max(0, list.findIndex((p) => p.id === target.id));
+}
 
-  useEffect(() => {
-    let alive = true;
-    setSpecies(null);
-    setEnc(null);
-    setSelectedVersion(null);
-    setError(null);
+// Consecutive entries of the same species -> [[slot, slot], [slot]…]
+function groupBySpecies(list) {
+  const groups = [];
+  for (const p of list) {
+    const last = groups[groups.length - 1];
+    if (last && last[0].id === p.id) last.push(p);
+    else groups.push([p]);
+  }
+  return groups;
+}
 
-    (async () => {
-      try {
-        const sp = await fetchSpecies(pokemon.id);
-        if (!alive) return;
-        setSpecies(sp);
-      } catch (e) {
-        if (!alive) return;
-        setError("Couldn’t load Dex flavor text.");
-      }
+// List row geometry: a row is the sprite/name block plus one text-xs line per extra detail.
+const LIST_HEADER_H = 24;
+const LIST_GAP = 8;
+const listRowHeight = (extraLines) => 18 + Math.max(40, 36 + 16 * extraLines);
 
-      try {
-        setEncLoading(true);
-        const raw = await fetchEncounters(pokemon.id);
-        if (!alive) return;
-        const norm = normalizeEncounterData(raw);
-        setEnc(norm);
-        setSelectedVersion(norm.versions[0] || null);
-      } catch {
-        if (!alive) return;
-        setEnc({ versions: [], byVersion: {} });
-      } finally {
-        if (alive) setEncLoading(false);
+// `checked` is undefined unless the list is in select mode.
+const ListRow = memo(function ListRow({ row, checked, onCheck, onJumpToId, onToggleCaught }) {
+  const { p, isCaught, summary, notes, games, indent } = row;
+  return (
+    <div
+      className={
+        "flex h-full items-center justify-between gap-3 overflow-hidden rounded-2xl border p-2 transition " +
+        (indent ? "ml-3 " : "") +
+        (checked ? "ring-1 ring-cyan-300/40 " : "") +
+        (isCaught ? "border-emerald-300/20 bg-emerald-400/10" : "border-white/10 bg-white/5 hover:bg-white/10")
       }
-    })();
+    >
+      {checked !== undefined && (
+        <input
+          type="checkbox"
+          checked={checked}
+          readOnly
+          // onClick rather than onChange: shift-click selects a range
+          onClick={(e) => onCheck(p.key, e.shiftKey)}
+          aria-label={`Select ${titleCase(p.name)}${p.formLabel ? ` (${p.formLabel})` : ""}`}
+          className="h-4 w-4 shrink-0 accent-emerald-400"
+        />
+      )}
+      <button onClick={() => onJumpToId?.(p.key)} className="flex min-w-0 flex-1 items-center gap-3 text-left">
+        <img src={p.sprite} alt={p.name} className="h-10 w-10 shrink-0" draggable={false} />
+        <div className="min-w-0">
+          <div className="truncate text-sm font-bold text-white">
+            {titleCase(p.name)}
+            {p.formLabel && <span className="ml-1.5 text-xs font-semibold text-emerald-200/80">{p.formLabel}</span>}
+          </div>
+          <div className="text-xs text-white/50">
+            {dexNo(p.dexNumber ?? p.id)}
+            {p.dexNumber != null && p.dexNumber !== p.id && <span className="text-white/35"> · Nat. {dexNo(p.id)}</span>}
+          </div>
+          {summary && <div className="truncate text-xs text-emerald-100/70">{summary}</div>}
+          {notes && <div className="max-w-xs truncate text-xs italic text-white/45">{notes}</div>}
+          {games && <div className={"truncate text-xs " + (games.ok ? "text-amber-100/80" : "text-rose-200/80")}>{games.text}</div>}
+        </div>
+      </button>
 
-    return () => {
-      alive = false;
-    };
-  }, [pokemon.id]);
+      <button
+        onClick={() => {
+          playCatchSfx();
+          onToggleCaught?.(p.key);
+        }}
+        aria-label={`${isCaught ? "Release" : "Catch"} ${titleCase(p.name)}${p.formLabel ? ` (${p.formLabel})` : ""}`}
+        className={
+          "shrink-0 rounded-xl px-3 py-2 text-xs font-extrabold transition " +
+          (isCaught ? "bg-white/10 text-emerald-200 hover:bg-white/15" : "bg-emerald-400 text-black hover:bg-emerald-300")
+        }
+      >
+        {isCaught ? "Release" : "Catch"}
+      </button>
+    </div>
+  );
+});
 
-  const flavor = useMemo(() => (species ? bestEnglishFlavor(species) : ""), [species]);
+function ListView({
+  items,
+  caught,
+  ownedGames,
+  savedSearches,
+  onSavedSearchesChange,
+  lists,
+  searchRef,
+  onJumpToId,
+  onToggleCaught,
+  onBulk,
+  onAddToList,
+  onDeleteList,
+}) {
+  const [q, setQ] = useState("");
+  const [showSyntax, setShowSyntax] = useState(false);
+  const [types, setTypes] = useState(null); // gatherTypes result
+  const [flags, setFlags] = useState(null); // gatherSpeciesFlags result
+  const [gameScans, setGameScans] = useState({}); // { [version]: { wild, evolvesFrom } } for game: terms
+  const [facts, setFacts] = useState(null); // { label, done, total } while catalog data for the query loads
+  const [factsFailed, setFactsFailed] = useState(null); // label of what couldn't load
+  const [mode, setMode] = useState("missing"); // all | missing | caught | obtainable | unobtainable
+  const [scan, setScan] = useState(null); // { done, total } while checking owned games
+  const [owned, setOwned] = useState(null); // scanOwnedGames result
+  const [retryTick, setRetryTick] = useState(0);
+  const [selecting, setSelecting] = useState(false); // checkboxes + bulk tools shown
+  const [selection, setSelection] = useState(() => new Set()); // keys
+  const [pending, setPending] = useState(null); // { text, action, args, clears } awaiting confirmation
+  // Confirming runs the action as of then, so changes made while the bar was open aren't dropped.
+  const actions = useRef({});
+  actions.current = { onBulk, onAddToList, onDeleteList };
 
-  const types = pokemon.types?.map((t) => t.type?.name).filter(Boolean) || [];
-  const weightKg = pokemon.weight ? (pokemon.weight / 10).toFixed(1) : "?";
-  const heightM = pokemon.height ? (pokemon.height / 10).toFixed(1) : "?";
+  // Obtainability is per species: forms share their species' answer.
+  const byGames = mode === "obtainable" || mode === "unobtainable";
+  const missingIds = useMemo(
+    () => Array.from(new Set(items.filter((p) => !caught.has(p.key)).map((p) => p.id))),
+    [items, caught]
+  );
+  const idsKey = missingIds.join(",");
+  const gamesKey = ownedGames.join(",");
 
-  const locations = selectedVersion ? enc?.byVersion?.[selectedVersion] || [] : [];
+  useEffect(() => {
+    if (!byGames || !ownedGames.length) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    setOwned(null);
+    setScan({ done: 0, total: 0 });
+    (async () => {
+      const res = await scanOwnedGames(missingIds, ownedGames, {
+        signal,
+        onProgress: (done, total) => !signal.aborted && setScan({ done, total }),
+      });
+      if (signal.aborted || !res) return;
+      setOwned(res);
+      setScan(null);
+    })();
+    return () => controller.abort();
+  }, [byGames, idsKey, gamesKey, retryTick]);
 
-  return (
-    <div className="space-y-3">
-      <FuturisticPanel>
-        <div className="flex items-start justify-between gap-4">
-          <div>
-            <div className="text-lg font-extrabold text-white">{titleCase(pokemon.name)}</div>
-            <div className="mt-1 flex flex-wrap gap-2">
-              <Chip>#{String(pokemon.id).padStart(4, "0")}</Chip>
-              <Chip>{heightM} m</Chip>
-              <Chip>{weightKg} kg</Chip>
-              {types.map((t) => (
-                <Chip key={t}>{titleCase(t)}</Chip>
-              ))}
-            </div>
-          </div>
-          <div className="flex flex-col items-end gap-2">
-            <GlowButton
-              onClick={() => {
-                playCatchSfx();
-                onToggleCaught?.();
-              }}
-            >
-              {caught ? "Release" : "Catch"}
-            </GlowButton>
-            <div className={"text-xs font-semibold " + (caught ? "text-emerald-300" : "text-white/45")}>
-              {caught ? "Caught" : "Missing"}
-            </div>
-          </div>
-        </div>
+  const obtainable = useMemo(() => {
+    if (!owned) return null;
+    const has = (id) => caught.has(id);
+    return new Map(missingIds.map((id) => [id, obtainableWith(id, { ...owned, has })]));
+  }, [owned, caught, idsKey]);
 
-        <div className="mt-3 text-sm leading-relaxed text-white/80">
-          {error ? (
-            <span className="text-rose-200">{error}</span>
-          ) : flavor ? (
-            <span>{flavor}</span>
-          ) : (
-            <span className="text-white/50">Loading Pokédex entry…</span>
-          )}
-        </div>
-      </FuturisticPanel>
+  const terms = useMemo(() => parseQuery(q), [q]);
+  const listNames = Object.keys(lists);
+  const suggestions = useMemo(() => querySuggestions(q, { list: listNames }), [q, listNames.join(",")]);
+  const needs = new Set(terms.map((t) => !t.invalid && QUERY_FIELDS[t.field]?.needs).filter(Boolean));
+  const allIds = useMemo(() => Array.from(new Set(items.map((p) => p.id))), [items]);
+  const allIdsKey = allIds.join(",");
+  const wantedGames = Array.from(new Set(terms.filter((t) => t.field === "game" && !t.invalid).map((t) => t.value)));
+  const wantedGamesKey = wantedGames.filter((v) => !gameScans[v]).join(",");
 
-      <FuturisticPanel>
-        <div className="flex items-center justify-between">
-          <div className="text-sm font-extrabold text-white">Where to catch (by game)</div>
-          {encLoading && <div className="text-xs text-white/60">Scanning regions…</div>}
-        </div>
+  // Types are cheap (18 requests, then cached), so they load with the list; species flags and
+  // game availability take a request per species, so only once a query asks for them.
+  useEffect(() => {
+    const controller = new AbortController();
+    gatherTypes({ signal: controller.signal })
+      .then((res) => !controller.signal.aborted && setTypes(res))
+      .catch((e) => !isAbortError(e) && setFactsFailed("Type data"));
+    return () => controller.abort();
+  }, [retryTick]);
 
-        <div className="mt-3 flex flex-wrap gap-2">
-          {(enc?.versions || []).length ? (
-            enc.versions.map((v) => (
-              <button
-                key={v}
-                onClick={() => setSelectedVersion(v)}
-                className={
-                  "rounded-xl border px-3 py-1.5 text-xs font-bold transition " +
-                  (v === selectedVersion
-                    ? "border-emerald-300/50 bg-emerald-400/15 text-emerald-100"
-                    : "border-white/10 bg-white/5 text-white/70 hover:bg-white/10 hover:text-white")
-                }
-              >
-                {versionLabel(v)}
-              </button>
-            ))
-          ) : (
-            <div className="text-sm text-white/60">No encounter data found here (some Pokémon are gift-only, event-only, or not in the wild).</div>
-          )}
-        </div>
+  const wantsFlags = needs.has("flags");
+  useEffect(() => {
+    if (!wantsFlags) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    (async () => {
+      const res = await gatherSpeciesFlags(allIds, {
+        signal,
+        onProgress: (done, total) => !signal.aborted && setFacts({ label: "Loading legendary/mythical data", done, total }),
+      });
+      if (signal.aborted) return;
+      setFlags(res.flags);
+      setFacts(null);
+      if (res.failed.length) setFactsFailed(`${res.failed.length} species’ legendary/mythical data`);
+    })();
+    return () => controller.abort();
+  }, [wantsFlags, allIdsKey, retryTick]);
 
-        <div className="mt-3 rounded-2xl border border-white/10 bg-black/25 p-3">
-          <div className="text-xs font-extrabold text-white/80">{selectedVersion ? versionLabel(selectedVersion) : "Select a game"}</div>
-          {selectedVersion ? (
-            locations.length ? (
-              <ul className="mt-2 max-h-40 space-y-1 overflow-auto pr-1 text-sm text-white/80">
-                {locations.map((loc) => (
-                  <li key={loc} className="flex items-start gap-2">
-                    <span className="mt-1 inline-block h-1.5 w-1.5 shrink-0 rounded-full bg-emerald-300/70" />
-                    <span>{prettyLocationArea(loc)}</span>
-                  </li>
-                ))}
-              </ul>
-            ) : (
-              <div className="mt-2 text-sm text-white/60">No wild locations listed for this version.</div>
-            )
-          ) : (
-            <div className="mt-2 text-sm text-white/60">Pick a game button to show locations.</div>
-          )}
-        </div>
+  useEffect(() => {
+    if (!wantedGamesKey) return;
+    const versions = wantedGamesKey.split(",");
+    const controller = new AbortController();
+    const { signal } = controller;
+    (async () => {
+      const res = await scanOwnedGames(allIds, versions, {
+        signal,
+        onProgress: (done, total) =>
+          !signal.aborted && setFacts({ label: `Checking ${versions.map(versionLabel).join(", ")}`, done, total }),
+      });
+      if (signal.aborted || !res) return;
+      const found = {};
+      for (const v of versions) {
+        const wild = {};
+        for (const [id, vs] of Object.entries(res.wild)) if (vs.includes(v)) wild[id] = [v];
+        found[v] = { wild, evolvesFrom: res.evolvesFrom };
+      }
+      setGameScans((prev) => ({ ...prev, ...found }));
+      setFacts(null);
+      if (res.failed.length) setFactsFailed(`${res.failed.length} Pokémon’s encounter data`);
+    })();
+    return () => controller.abort();
+  }, [wantedGamesKey, allIdsKey, retryTick]);
 
-        <div className="mt-3 text-xs text-white/50">
-          Tip: encounter data comes from PokeAPI and reflects “location areas” used by the games’ internal data.
-        </div>
-      </FuturisticPanel>
-    </div>
-  );
-}
+  // Game answers are per list; start over when it changes.
+  useEffect(() => setGameScans({}), [allIdsKey]);
 
-function ListView({ items, caughtSet, onJumpToId, onToggleCaught }) {
-  const [q, setQ] = useState("");
-  const [mode, setMode] = useState("missing"); // all | missing | caught
+  // Same rules as "Obtainable with my games", one game at a time. Catching can open up evolutions,
+  // so this reruns on every change to `caught`; the scans themselves don't.
+  const queryGames = useMemo(() => {
+    const has = (id) => caught.has(id);
+    return Object.fromEntries(
+      Object.entries(gameScans).map(([v, res]) => [v, new Set(allIds.filter((id) => obtainableWith(id, { ...res, has })))])
+    );
+  }, [gameScans, caught, allIdsKey]);
 
   const filtered = useMemo(() => {
-    const query = q.trim().toLowerCase();
+    const ctx = {
+      caught,
+      typesOf: (p) => (types ? types.byName[p.pokemon || p.name] || types.byId[p.id] || [] : null),
+      flags,
+      games: queryGames,
+      lists: Object.fromEntries(Object.entries(lists).map(([name, keys]) => [name, new Set(keys)])),
+    };
     return items
+      .filter((p) => matchesQuery(p, terms, ctx))
       .filter((p) => {
-        if (!query) return true;
-        return p.name.includes(query) || String(p.id).includes(query);
-      })
-      .filter((p) => {
-        const isCaught = caughtSet.has(p.id);
+        const isCaught = caught.has(p.key);
         if (mode === "all") return true;
         if (mode === "caught") return isCaught;
-        return !isCaught;
+        if (isCaught) return false;
+        if (!byGames) return true;
+        if (!obtainable) return false;
+        return mode === "obtainable" ? !!obtainable.get(p.id) : !obtainable.get(p.id);
       });
-  }, [items, q, mode, caughtSet]);
+  }, [items, terms, mode, caught, obtainable, types, flags, queryGames, lists]);
+
+  // Selection: click toggles, shift-click sets everything between the last click and this one
+  // (in the order shown) to the clicked row's new state.
+  const anchorRef = useRef(null);
+  const shownKeys = useRef([]);
+  shownKeys.current = filtered.map((p) => p.key);
+  const toggleSelect = useCallback((key, shift) => {
+    setSelection((prev) => {
+      const next = new Set(prev);
+      const on = !prev.has(key);
+      const keys = shownKeys.current;
+      const a = shift && anchorRef.current != null ? keys.indexOf(anchorRef.current) : -1;
+      const b = keys.indexOf(key);
+      if (a >= 0 && b >= 0) {
+        for (let i = Math.min(a, b); i <= Math.max(a, b); i++) on ? next.add(keys[i]) : next.delete(keys[i]);
+      } else if (on) next.add(key);
+      else next.delete(key);
+      anchorRef.current = key;
+      return next;
+    });
+  }, []);
+  const clearSelection = () => {
+    setSelection(new Set());
+    anchorRef.current = null;
+  };
+
+  // Every bulk action goes through one confirmation; App applies it as a single change.
+  // `action` names one of `actions`; `clears` ends the selection once it's done.
+  const confirm = (text, action, args, clears = false) => setPending({ text, action, args, clears });
+  const bulk = (targets, change, text) => {
+    if (!targets.length) return;
+    confirm(text, "onBulk", [targets, change], true);
+  };
+  const selectedKeys = Array.from(selection);
+  const count = (n) => `${n} Pokémon`;
+
+  const [rangeText, setRangeText] = useState("");
+  const range = parseRange(rangeText.trim().replace(/^#/, "").replace(/\s*[–—]\s*/, "-").replace(/\s+/g, ""));
+  // Ranges go by the number shown (the regional number in a regional dex) and ignore the filter.
+  const rangeKeys = range
+    ? items.filter((p) => (p.dexNumber ?? p.id) >= range[0] && (p.dexNumber ?? p.id) <= range[1]).map((p) => p.key)
+    : [];
+  const rangeLabel = range ? `#${range[0]}${range[1] !== range[0] ? `–${range[1] === Infinity ? "" : range[1]}` : ""}` : "";
+
+  const [fieldKey, setFieldKey] = useState(CATCH_FIELDS[0].key);
+  const [fieldValue, setFieldValue] = useState("");
+  const field = CATCH_FIELDS.find((f) => f.key === fieldKey);
+  const [listName, setListName] = useState("");
+
+  // Our own handle on the input, plus the parent's (App focuses it for the "/" hotkey).
+  const inputRef = useRef(null);
+  const attachInput = useCallback(
+    (el) => {
+      inputRef.current = el;
+      searchRef?.(el);
+    },
+    [searchRef]
+  );
+
+  const isSaved = savedSearches.includes(q.trim());
+  const saveSearch = () => onSavedSearchesChange([...savedSearches, q.trim()]);
+  const removeSearch = (s) => onSavedSearchesChange(savedSearches.filter((x) => x !== s));
+  const invalid = terms.filter((t) => t.invalid);
+
+  // Forms caught per species, counted over the whole dex (not just the filter).
+  const formCounts = useMemo(() => {
+    const counts = new Map();
+    for (const p of items) {
+      if (!p.formCount || p.formCount < 2) continue;
+      const c = counts.get(p.id) || { caught: 0, total: 0 };
+      c.total += 1;
+      if (caught.has(p.key)) c.caught += 1;
+      counts.set(p.id, c);
+    }
+    return counts;
+  }, [items, caught]);
+
+  // Flattened rows for the virtual list: a header per multi-form species, then one row per slot.
+  // Heights are known up front (one line per extra detail), so offsets need no measuring.
+  const rows = useMemo(() => {
+    const nameOf = new Map(items.map((p) => [p.id, p.name]));
+    const out = [];
+    for (const group of groupBySpecies(filtered)) {
+      const counts = formCounts.get(group[0].id);
+      if (counts) out.push({ key: `species-${group[0].id}`, header: true, p: group[0], counts, height: LIST_HEADER_H });
+      for (const p of group) {
+        const isCaught = caught.has(p.key);
+        const rec = caught.get(p.key);
+        let games = null;
+        if (byGames && obtainable && !isCaught) {
+          const how = obtainable.get(p.id);
+          games = {
+            ok: !!how,
+            text: !how
+              ? "Not in your games — trade or another game"
+              : how.via === "wild"
+              ? `Wild in ${how.versions.map(versionLabel).join(", ")}`
+              : `Evolve from ${titleCase(nameOf.get(how.from) || dexNo(how.from))}`,
+          };
+        }
+        const row = { key: p.key, p, isCaught, summary: recordSummary(rec), notes: rec?.notes || "", games, indent: !!counts };
+        row.height = listRowHeight([row.summary, row.notes, games].filter(Boolean).length);
+        out.push(row);
+      }
+    }
+    return out;
+  }, [filtered, formCounts, caught, byGames, obtainable, items]);
+
+  const offsets = useMemo(() => {
+    const out = [0];
+    for (const r of rows) out.push(out[out.length - 1] + r.height + LIST_GAP);
+    return out;
+  }, [rows]);
+
+  const scrollerRef = useRef(null);
+  const { pos, size } = useScrollViewport(scrollerRef, "y");
+  const [first, last] = visibleRange(offsets, pos, size);
 
   return (
-    <FuturisticPanel className="h-[520px]">
+    <FuturisticPanel>
       <div className="flex flex-col gap-3">
         <div className="flex items-center justify-between">
           <div className="text-sm font-extrabold text-white">List View</div>
@@ -560,59 +5123,327 @@ function ListView({ items, caughtSet, onJumpToId, onToggleCaught }) {
           </div>
         </div>
 
+        <div className="flex flex-wrap items-center gap-2">
+          <Toggle active={mode === "obtainable"} onClick={() => setMode("obtainable")}>Obtainable with my games</Toggle>
+          <Toggle active={mode === "unobtainable"} onClick={() => setMode("unobtainable")}>Needs trade / new game</Toggle>
+          <Toggle
+            active={selecting}
+            onClick={() => {
+              setSelecting((v) => !v);
+              clearSelection();
+              setPending(null);
+            }}
+          >
+            ☑ Select
+          </Toggle>
+        </div>
+
         <div className="flex gap-2">
           <input
+            ref={attachInput}
             value={q}
             onChange={(e) => setQ(e.target.value)}
-            placeholder="Search name or #…"
+            onKeyDown={(e) => {
+              // Tab takes the first suggestion while there is one
+              if (e.key === "Tab" && !e.shiftKey && suggestions.length) {
+                e.preventDefault();
+                setQ(suggestions[0].text);
+              }
+            }}
+            aria-label="Search the list"
+            placeholder="Search… e.g. type:fire gen:3 caught:no (press /)"
             className="w-full rounded-xl border border-white/15 bg-black/30 px-3 py-2 text-sm text-white/90 placeholder:text-white/40 outline-none focus:ring-2 focus:ring-emerald-300/40"
           />
+          <Toggle onClick={saveSearch} disabled={!q.trim() || isSaved} title="Save this search">
+            {isSaved ? "★" : "☆"}
+          </Toggle>
+          <Toggle active={showSyntax} onClick={() => setShowSyntax((v) => !v)} aria-label="Search syntax">
+            ?
+          </Toggle>
         </div>
 
+        {suggestions.length > 0 && (
+          <div className="flex flex-wrap gap-1.5" aria-label="Suggestions">
+            {suggestions.map((s, i) => (
+              <button
+                key={s.text}
+                onClick={() => {
+                  setQ(s.text);
+                  inputRef.current?.focus();
+                }}
+                className={
+                  "rounded-lg px-2 py-1 text-xs transition " +
+                  (i === 0 ? "bg-emerald-400/15 text-emerald-100" : "bg-white/5 text-white/70 hover:bg-white/10")
+                }
+              >
+                <span className="font-bold">{s.label}</span>
+                {s.hint && <span className="ml-1 text-white/45">{s.hint}</span>}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {showSyntax && (
+          <div className="rounded-xl border border-white/10 bg-white/5 p-2 text-xs text-white/60">
+            <div className="mb-1">
+              Terms are ANDed. <code>-</code> negates, <code>#152-251</code> is a dex range, quotes keep spaces together.
+            </div>
+            <div className="grid grid-cols-1 gap-x-3 sm:grid-cols-2">
+              {Object.entries(QUERY_FIELDS).map(([f, { hint }]) => (
+                <div key={f}>
+                  <code className="text-emerald-200/80">{f}:</code> {hint}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {savedSearches.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1.5 text-xs">
+            <span className="text-white/45">Saved:</span>
+            {savedSearches.map((s) => (
+              <span key={s} className="inline-flex items-center rounded-lg bg-white/5">
+                <button onClick={() => setQ(s)} className={"px-2 py-1 " + (s === q.trim() ? "text-emerald-200" : "text-white/75 hover:text-white")}>
+                  {s}
+                </button>
+                <button onClick={() => removeSearch(s)} aria-label={`Remove saved search ${s}`} className="pr-2 text-white/35 hover:text-rose-200">
+                  ✕
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        {invalid.length > 0 && (
+          <div className="text-xs text-rose-200/80">
+            Not understood: {invalid.map((t) => `${t.field === "#" ? "#" : t.field + ":"}${t.value}`).join(", ")}
+          </div>
+        )}
+        {facts && (
+          <div className="text-xs text-white/55">
+            {facts.label}… {facts.done} / {facts.total || "?"} (those filters apply once loaded)
+          </div>
+        )}
+        {factsFailed && !facts && (
+          <RetryNote
+            onRetry={() => {
+              setFactsFailed(null);
+              setRetryTick((t) => t + 1);
+            }}
+            className="text-xs"
+          >
+            {factsFailed} couldn’t be loaded.
+          </RetryNote>
+        )}
+
         <div className="text-xs text-white/55">
-          Showing <span className="font-bold text-white/80">{filtered.length}</span> Pokémon
+          {byGames && !ownedGames.length ? (
+            "Pick the games you own under “My games” first."
+          ) : byGames && !obtainable ? (
+            <>
+              Checking your {ownedGames.length} games… {scan?.done || 0} / {scan?.total || "?"}
+            </>
+          ) : (
+            <>
+              Showing <span className="font-bold text-white/80">{filtered.length}</span> Pokémon
+            </>
+          )}
         </div>
+        {byGames && owned?.failed.length > 0 && (
+          <RetryNote onRetry={() => setRetryTick((t) => t + 1)} className="text-xs">
+            {owned.failed.length} Pokémon couldn’t be checked.
+          </RetryNote>
+        )}
 
-        <div className="no-scrollbar -mx-1 flex-1 overflow-auto px-1">
-          <div className="grid grid-cols-1 gap-2">
-            {filtered.map((p) => {
-              const isCaught = caughtSet.has(p.id);
-              return (
-                <div
-                  key={p.id}
-                  className={
-                    "flex items-center justify-between gap-3 rounded-2xl border p-2 transition " +
-                    (isCaught ? "border-emerald-300/20 bg-emerald-400/10" : "border-white/10 bg-white/5 hover:bg-white/10")
-                  }
-                >
-                  <button
-                    onClick={() => onJumpToId?.(p.id)}
-                    className="flex items-center gap-3 text-left"
-                  >
-                    <img src={p.sprite} alt={p.name} className="h-10 w-10" draggable={false} />
-                    <div>
-                      <div className="text-sm font-bold text-white">{titleCase(p.name)}</div>
-                      <div className="text-xs text-white/50">#{String(p.id).padStart(4, "0")}</div>
-                    </div>
+        {selecting && (
+          <div className="space-y-2 rounded-xl border border-cyan-300/15 bg-cyan-400/5 p-2 text-xs text-white/70">
+            <div className="flex flex-wrap items-center gap-1.5">
+              <span className="font-bold text-white/85">{selection.size} selected</span>
+              <Toggle onClick={() => setSelection(new Set(filtered.map((p) => p.key)))}>Select all {filtered.length} shown</Toggle>
+              <Toggle onClick={clearSelection} disabled={!selection.size}>
+                Clear
+              </Toggle>
+              <span className="text-white/40">Shift-click selects a range.</span>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5">
+              <Toggle
+                disabled={!selection.size}
+                onClick={() => bulk(selectedKeys, { caught: true }, `Mark ${count(selection.size)} caught?`)}
+              >
+                Mark caught
+              </Toggle>
+              <Toggle
+                disabled={!selection.size}
+                onClick={() => bulk(selectedKeys, { caught: false }, `Mark ${count(selection.size)} missing? Their catch records are removed.`)}
+              >
+                Mark missing
+              </Toggle>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5">
+              <select
+                value={fieldKey}
+                onChange={(e) => setFieldKey(e.target.value)}
+                aria-label="Field to set"
+                className="rounded-lg border border-white/15 bg-black/30 px-2 py-1 text-white/90"
+              >
+                {CATCH_FIELDS.map((f) => (
+                  <option key={f.key} value={f.key}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type={field.type === "date" ? "date" : field.type === "number" ? "number" : "text"}
+                value={fieldValue}
+                onChange={(e) => setFieldValue(e.target.value)}
+                list={field.type === "ball" || field.type === "game" || field.type === "storage" ? `bulk-${field.type}` : undefined}
+                aria-label={`${field.label} value`}
+                placeholder="(empty clears it)"
+                className="w-40 rounded-lg border border-white/15 bg-black/30 px-2 py-1 text-white/90 placeholder:text-white/35"
+              />
+              <datalist id="bulk-ball">
+                {POKE_BALLS.map((b) => (
+                  <option key={b} value={ballLabel(b)} />
+                ))}
+              </datalist>
+              {["game", "storage"].map((type) => (
+                <datalist key={type} id={`bulk-${type}`}>
+                  {type === "storage" && <option value="Pokémon HOME" />}
+                  {Object.values(VERSION_LABELS).map((label) => (
+                    <option key={label} value={label} />
+                  ))}
+                </datalist>
+              ))}
+              <Toggle
+                disabled={!selectedKeys.some((k) => caught.has(k))}
+                onClick={() => {
+                  const targets = selectedKeys.filter((k) => caught.has(k));
+                  const value = parseCatchField(field, fieldValue);
+                  bulk(
+                    targets,
+                    { patch: { [field.key]: value }, field: field.label },
+                    value === undefined
+                      ? `Clear ${field.label} on ${count(targets.length)}?`
+                      : `Set ${field.label} to “${formatCatchField(field, value)}” on ${count(targets.length)}?`
+                  );
+                }}
+              >
+                Set on caught
+              </Toggle>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5">
+              <input
+                value={listName}
+                onChange={(e) => setListName(e.target.value)}
+                list="bulk-lists"
+                aria-label="List name"
+                placeholder="List name, e.g. trade"
+                className="w-40 rounded-lg border border-white/15 bg-black/30 px-2 py-1 text-white/90 placeholder:text-white/35"
+              />
+              <datalist id="bulk-lists">
+                {listNames.map((n) => (
+                  <option key={n} value={n} />
+                ))}
+              </datalist>
+              <Toggle
+                disabled={!selection.size || !slugName(listName)}
+                onClick={() => {
+                  const name = slugName(listName);
+                  confirm(`Add ${count(selection.size)} to “${name}”?`, "onAddToList", [name, selectedKeys], true);
+                }}
+              >
+                Add to list
+              </Toggle>
+              {listNames.map((n) => (
+                <span key={n} className="inline-flex items-center rounded-lg bg-white/5">
+                  <button onClick={() => setQ(`list:${n}`)} className="px-2 py-1 text-white/75 hover:text-white">
+                    {n} <span className="text-white/40">{lists[n].length}</span>
                   </button>
-
                   <button
-                    onClick={() => {
-                      playCatchSfx();
-                      onToggleCaught?.(p.id);
-                    }}
-                    className={
-                      "rounded-xl px-3 py-2 text-xs font-extrabold transition " +
-                      (isCaught
-                        ? "bg-white/10 text-emerald-200 hover:bg-white/15"
-                        : "bg-emerald-400 text-black hover:bg-emerald-300")
-                    }
+                    onClick={() => confirm(`Delete the list “${n}”?`, "onDeleteList", [n])}
+                    aria-label={`Delete list ${n}`}
+                    className="pr-2 text-white/35 hover:text-rose-200"
                   >
-                    {isCaught ? "Release" : "Catch"}
+                    ✕
                   </button>
-                </div>
-              );
-            })}
+                </span>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5">
+              <input
+                value={rangeText}
+                onChange={(e) => setRangeText(e.target.value)}
+                aria-label="Dex number range"
+                placeholder="Range, e.g. #1-151"
+                className="w-32 rounded-lg border border-white/15 bg-black/30 px-2 py-1 text-white/90 placeholder:text-white/35"
+              />
+              <Toggle disabled={!rangeKeys.length} onClick={() => setSelection(new Set(rangeKeys))}>
+                Select {rangeKeys.length || ""}
+              </Toggle>
+              <Toggle
+                disabled={!rangeKeys.length}
+                onClick={() => bulk(rangeKeys, { caught: true }, `Mark ${rangeLabel} caught (${count(rangeKeys.length)})?`)}
+              >
+                Mark {rangeLabel || "range"} caught
+              </Toggle>
+              <Toggle
+                disabled={!rangeKeys.length}
+                onClick={() => bulk(rangeKeys, { caught: false }, `Mark ${rangeLabel} missing (${count(rangeKeys.length)})?`)}
+              >
+                Mark missing
+              </Toggle>
+            </div>
+          </div>
+        )}
+
+        {pending && (
+          <div
+            role="alertdialog"
+            aria-label="Confirm bulk change"
+            className="flex flex-wrap items-center gap-2 rounded-xl border border-amber-300/25 bg-amber-400/10 p-2 text-sm text-amber-100"
+          >
+            <span className="flex-1">{pending.text}</span>
+            <button
+              onClick={() => {
+                actions.current[pending.action](...pending.args);
+                if (pending.clears) clearSelection();
+                setPending(null);
+              }}
+              className="rounded-xl bg-emerald-400 px-3 py-1.5 text-sm font-extrabold text-black hover:bg-emerald-300"
+            >
+              Confirm
+            </button>
+            <Toggle onClick={() => setPending(null)}>Cancel</Toggle>
+          </div>
+        )}
+
+        <div ref={scrollerRef} className="no-scrollbar -mx-1 h-[380px] overflow-auto px-1">
+          <div className="relative" style={{ height: Math.max(0, offsets[rows.length] - LIST_GAP) }}>
+            {rows.slice(first, last).map((r, i) => (
+              <div key={r.key} className="absolute left-0 right-0" style={{ top: offsets[first + i], height: r.height }}>
+                {r.header ? (
+                  // Forms dex: slots are listed under their species
+                  <div className="flex h-full items-end justify-between px-1 text-xs">
+                    <span className="font-bold text-white/80">{titleCase(r.p.name)}</span>
+                    <span className="text-white/45">
+                      {r.counts.caught}/{r.counts.total} forms
+                    </span>
+                  </div>
+                ) : (
+                  <ListRow
+                    row={r}
+                    checked={selecting ? selection.has(r.key) : undefined}
+                    onCheck={toggleSelect}
+                    onJumpToId={onJumpToId}
+                    onToggleCaught={onToggleCaught}
+                  />
+                )}
+              </div>
+            ))}
           </div>
         </div>
 
@@ -624,267 +5455,1230 @@ function ListView({ items, caughtSet, onJumpToId, onToggleCaught }) {
   );
 }
 
+// Bottom toast after each change (Undo) or undo (Redo); App hides it after TOAST_MS.
+function HistoryToast({ label, actionLabel, onAction, onDismiss }) {
+  return (
+    <motion.div
+      className="pointer-events-none fixed inset-x-0 bottom-4 z-30 flex justify-center px-4"
+      initial={{ opacity: 0, y: 12 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 12 }}
+    >
+      <div className="pointer-events-auto flex items-center gap-3 rounded-2xl border border-white/15 bg-[#0b0d16]/95 px-4 py-2 text-sm text-white/85 shadow-[0_18px_50px_rgba(0,0,0,0.5)]">
+        <span>{label}</span>
+        <button onClick={onAction} className="font-extrabold text-emerald-300 hover:text-emerald-200">
+          {actionLabel}
+        </button>
+        <button onClick={onDismiss} aria-label="Dismiss" className="text-white/40 hover:text-white/80">
+          ✕
+        </button>
+      </div>
+    </motion.div>
+  );
+}
+
 // ---------- Main app ----------
 export default function App() {
   const [introDone, setIntroDone] = useState(false);
 
-  // Choose your dex range. Gen 1–9 national dex currently goes to 1025+ (updates happen).
-  // If PokeAPI adds more later, just bump this.
-  const DEX_MAX = 1025;
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [showProfiles, setShowProfiles] = useState(false);
+  const profileId = profiles.activeId;
+  const keys = useMemo(() => storeKeys(profileId), [profileId]);
+  const profile = profiles.profiles.find((p) => p.id === profileId);
 
-  const [items, setItems] = useState([]); // {id, name, sprite, types, height, weight}
+  const [dexKey, setDexKey] = useState(() => loadDexKey(keys.dex));
+  const mode = dexMode(dexKey);
+  const [formsMode, setFormsMode] = useState(() => loadPref(keys.forms, false) === true);
+  const [boxOptions, setBoxOptions] = useState(() => loadPref(keys.boxes, { perGeneration: false, reserveForms: false }));
+  const [reservedForms, setReservedForms] = useState(null); // { [id]: form slots } for boxOptions.reserveForms
+  const [reserving, setReserving] = useState(null); // { done, total } while those are looked up
+  const [plannerVersion, setPlannerVersion] = useState(() => loadPref(keys.plannerVersion, null));
+  const [ownedGames, setOwnedGames] = useState(() => loadPref(keys.ownedGames, []));
+  const [savedSearches, setSavedSearches] = useState(() => loadPref(keys.savedSearches, []));
+  const [lists, setLists] = useState(() => loadPref(keys.lists, {})); // { name: [entry key] }
+  const [activity, setActivity] = useState(() => loadPref(keys.activity, []).slice(-ACTIVITY_LIMIT)); // see ACTIVITY_TYPES
+  const [achievements, setAchievements] = useState(() => loadPref(keys.achievements, {})); // see "Achievements"
+  const [syncConfig, setSyncConfig] = useState(() => loadPref(keys.sync, null)); // { endpoint, code, token }, see "Sync"
+  const [syncState, setSyncState] = useState(() => ({ ...emptySyncState(), ...loadPref(keys.syncState, {}) }));
+  const [syncStatus, setSyncStatus] = useState({ state: "idle" }); // idle | syncing | offline | error (+ error)
+  const [showGames, setShowGames] = useState(false);
+  const [formsProgress, setFormsProgress] = useState(null); // { done, total } while expanding forms
+  const [formsFailed, setFormsFailed] = useState(0); // species that fell back to one slot
+  const [catalogTick, setCatalogTick] = useState(0); // bump to reload the catalog
+  const [detailsFailed, setDetailsFailed] = useState(null); // key whose details didn't load
+  const [detailsTick, setDetailsTick] = useState(0);
+
+  // {key, id, dexNumber, name, sprite, types, height, weight} + {pokemon, formLabel, formIndex, formCount} in forms mode.
+  // `key` is what caught data is stored under; `id` is always the national species id.
+  const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedIndex, setSelectedIndex] = useState(0);
-  const [view, setView] = useState("dex"); // dex | list
+  const [view, setView] = useState("dex"); // dex | list | boxes | planner | matrix | stats
+  const [showBackup, setShowBackup] = useState(false);
+  const [announcement, setAnnouncement] = useState(""); // read out by the live region
+  const [history, setHistory] = useState({ undo: [], redo: [] }); // steps, see "History"
+  const [toast, setToast] = useState(null); // { label, at, undone } for the last step taken or undone
+  const [showActivity, setShowActivity] = useState(false);
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [celebration, setCelebration] = useState(null); // { achievement, more, shiny, at } on screen
+  const [typeIds, setTypeIds] = useState(null); // typeIdsFrom(gatherTypes()), for the type achievements
+  const [jumpDigits, setJumpDigits] = useState(null); // "g" pressed: digits typed so far
+  const searchRef = useRef(null);
+  const focusSearchOnOpen = useRef(false);
+  const celebrateNext = useRef(false); // the next collection change came through `commit`
+
+  // Two independent collections; the shiny toggle decides which one everything reads/writes.
+  const [shiny, setShiny] = useState(() => loadPref(keys.shinyMode, false) === true);
+  const [caughtNormal, setCaughtNormal] = useState(() => loadCaught(keys.caught));
+  const [caughtShiny, setCaughtShiny] = useState(() => loadCaught(keys.shiny));
+  const [saveProblem, setSaveProblem] = useState(() => caughtSaveProblem(keys)); // shown instead of "Local save ✓"
+  const caught = shiny ? caughtShiny : caughtNormal;
 
-  const [caught, setCaught] = useState(() => loadCaught());
+  // Per-profile settings. Profile switches set profileId + these in one batch,
+  // so this always writes the new profile's values into the new namespace.
+  useEffect(() => {
+    const k = storeKeys(profileId);
+    savePref(k.dex, dexKey);
+    savePref(k.forms, formsMode);
+    savePref(k.shinyMode, shiny);
+    savePref(k.boxes, boxOptions);
+    savePref(k.plannerVersion, plannerVersion);
+    savePref(k.ownedGames, ownedGames);
+    savePref(k.savedSearches, savedSearches);
+    savePref(k.lists, lists);
+    savePref(k.achievements, achievements);
+    savePref(k.sync, syncConfig);
+    savePref(k.syncState, syncState);
+  }, [profileId, dexKey, formsMode, shiny, boxOptions, plannerVersion, ownedGames, savedSearches, lists, achievements, syncConfig, syncState]);
+
+  // The activity log is the largest of these, so it's only rewritten when it changes.
+  useEffect(() => {
+    savePref(storeKeys(profileId).activity, activity);
+  }, [profileId, activity]);
+
+  const updateProfiles = (fn) =>
+    setProfiles((prev) => {
+      const next = fn(prev);
+      savePref(LS_PROFILES_KEY, next);
+      return next;
+    });
+
+  const switchProfile = (id) => {
+    const k = storeKeys(id);
+    updateProfiles((s) => ({ ...s, activeId: id }));
+    setCaughtNormal(loadCaught(k.caught));
+    setCaughtShiny(loadCaught(k.shiny));
+    setSaveProblem(caughtSaveProblem(k));
+    celebrateNext.current = false;
+    setShiny(loadPref(k.shinyMode, false) === true);
+    setFormsMode(loadPref(k.forms, false) === true);
+    setDexKey(loadDexKey(k.dex));
+    setBoxOptions(loadPref(k.boxes, { perGeneration: false, reserveForms: false }));
+    setPlannerVersion(loadPref(k.plannerVersion, null));
+    setOwnedGames(loadPref(k.ownedGames, []));
+    setSavedSearches(loadPref(k.savedSearches, []));
+    setLists(loadPref(k.lists, {}));
+    setActivity(loadPref(k.activity, []).slice(-ACTIVITY_LIMIT));
+    setAchievements(loadPref(k.achievements, {}));
+    setCelebration(null);
+    setSyncConfig(loadPref(k.sync, null));
+    setSyncState({ ...emptySyncState(), ...loadPref(k.syncState, {}) });
+    setSyncStatus({ state: "idle" });
+    // Steps hold the old profile's collections; they can't be undone into this one.
+    setHistory({ undo: [], redo: [] });
+    setToast(null);
+  };
+
+  const createProfile = (name) => {
+    const id = newProfileId();
+    updateProfiles((s) => ({ ...s, profiles: [...s.profiles, { id, name, createdAt: new Date().toISOString() }] }));
+    switchProfile(id);
+  };
+
+  const renameProfile = (id, name) =>
+    updateProfiles((s) => ({ ...s, profiles: s.profiles.map((p) => (p.id === id ? { ...p, name } : p)) }));
+
+  const duplicateProfile = (id) => {
+    const src = profiles.profiles.find((p) => p.id === id);
+    if (!src) return;
+    const copyId = newProfileId();
+    copyProfileData(id, copyId);
+    updateProfiles((s) => ({
+      ...s,
+      profiles: [...s.profiles, { id: copyId, name: `${src.name} (copy)`, createdAt: new Date().toISOString() }],
+    }));
+  };
+
+  const deleteProfile = (id) => {
+    const rest = profiles.profiles.filter((p) => p.id !== id);
+    if (!rest.length) return;
+    if (id === profileId) switchProfile(rest[0].id);
+    updateProfiles((s) => ({ ...s, profiles: s.profiles.filter((p) => p.id !== id) }));
+    deleteProfileData(id);
+  };
 
   const selected = items[selectedIndex];
 
-  // Lightweight “catalog” loader: fetch sprites + names using PokeAPI list,
+  // Remember who was selected so switching dex/forms keeps them in view when possible.
+  const selectedRef = useRef(null);
+  if (selected) selectedRef.current = { key: selected.key, id: selected.id };
+
+  // Lightweight “catalog” loader: fetch sprites + names for the chosen dex,
   // then lazy-fetch full pokemon data for the selected one.
   useEffect(() => {
-    let alive = true;
+    const controller = new AbortController();
+    const { signal } = controller;
     (async () => {
       setLoading(true);
+      setFormsProgress(null);
+      setFormsFailed(0);
       try {
-        // Use the paginated list endpoint, then build ids.
-        // We still need sprites; easiest is deterministic sprite URL.
-        const list = await fetchJSON(`https://pokeapi.co/api/v2/pokemon?limit=${DEX_MAX}&offset=0`);
-        if (!alive) return;
+        const entries = await fetchDexEntries(dexMode(dexKey), { signal });
+        if (signal.aborted) return;
 
-        const base = list.results.map((r, i) => {
-          const id = i + 1;
+        // We still need sprites; easiest is deterministic sprite URL.
+        const base = entries.map(({ id, dexNumber, name }) => {
           // Official art (nice) + fallback sprite
-          const official = `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/${id}.png`;
-          const sprite = `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${id}.png`;
+          const official = spriteUrl(`sprites/pokemon/other/official-artwork/${id}.png`);
+          const sprite = spriteUrl(`sprites/pokemon/${id}.png`);
           return {
+            key: id,
             id,
-            name: r.name,
+            dexNumber,
+            name,
             sprite: official,
             spriteFallback: sprite,
+            shinySprite: spriteUrl(`sprites/pokemon/other/official-artwork/shiny/${id}.png`),
+            shinySpriteFallback: spriteUrl(`sprites/pokemon/shiny/${id}.png`),
           };
         });
 
         setItems(base);
-        setSelectedIndex(0);
+        setSelectedIndex(indexOfSlot(base, selectedRef.current));
+        setLoading(false);
+
+        if (!formsMode) return;
+        // Forms dex: the plain list stays usable while every species is expanded.
+        setFormsProgress({ done: 0, total: base.length });
+        const { slots, failed } = await buildFormSlots(base, {
+          signal,
+          onProgress: (done, total) => !signal.aborted && setFormsProgress({ done, total }),
+        });
+        if (signal.aborted) return;
+        setItems(slots);
+        setSelectedIndex(indexOfSlot(slots, selectedRef.current));
+        setFormsProgress(null);
+        setFormsFailed(failed.length);
       } catch {
-        // If list fails, show empty and stop.
-        setItems([]);
+        // If the list fails, show empty (with a retry button) and stop.
+        if (!signal.aborted) setItems([]);
       } finally {
-        if (alive) setLoading(false);
+        if (!signal.aborted) setLoading(false);
       }
     })();
 
-    return () => {
-      alive = false;
-    };
-  }, []);
+    return () => controller.abort();
+  }, [dexKey, formsMode, catalogTick]);
 
   // Lazy-fetch full details for currently selected pokemon (types/height/weight)
   useEffect(() => {
-    let alive = true;
     if (!items.length) return;
 
     const cur = items[selectedIndex];
     if (!cur || cur.types) return; // already enriched
 
+    // Hopping through the carousel aborts the previous Pokémon's request.
+    const controller = new AbortController();
+    const { signal } = controller;
+    setDetailsFailed(null);
     (async () => {
       try {
-        const full = await fetchPokemon(cur.id);
-        if (!alive) return;
+        const full = await fetchPokemon(cur.pokemon || cur.id, { signal });
+        if (signal.aborted) return;
         setItems((prev) => {
           const copy = prev.slice();
-          const p = { ...copy[selectedIndex], ...full };
+          // Keep our own id/name: for form slots PokeAPI's are the variety's (e.g. 10100 "raichu-alola").
+          const { id: _id, name: _name, ...details } = full;
+          const p = { ...copy[selectedIndex], ...details };
           // ensure sprite exists even if official missing
           p.sprite = p.sprite || p.sprites?.other?.["official-artwork"]?.front_default || p.sprites?.front_default || cur.sprite;
           copy[selectedIndex] = p;
           return copy;
         });
-      } catch {
-        // ignore
+      } catch (e) {
+        if (!signal.aborted && !isAbortError(e)) setDetailsFailed(cur.key);
       }
     })();
 
-    return () => {
-      alive = false;
-    };
-  }, [items, selectedIndex]);
+    return () => controller.abort();
+  }, [items, selectedIndex, detailsTick]);
 
+  // Progress is scoped to the chosen dex: a Paldea goal only counts Paldea entries.
   const progress = useMemo(() => {
-    const total = items.length || DEX_MAX;
-    const caughtCount = caught.size;
+    const total = items.length;
+    const caughtCount = items.reduce((n, p) => n + (caught.has(p.key) ? 1 : 0), 0);
     const missingCount = Math.max(0, total - caughtCount);
     const pct = total ? Math.round((caughtCount / total) * 100) : 0;
     return { total, caughtCount, missingCount, pct };
-  }, [caught, items.length]);
+  }, [caught, items]);
 
-  const toggleCaught = (id = selected?.id) => {
-    if (!id) return;
-    setCaught((prev) => {
-      const next = new Set(prev);
-      if (next.has(id)) next.delete(id);
-      else next.add(id);
-      saveCaught(next);
+  // Slim entries for the carousel, list and matrix. Entries are cached per item object, so
+  // enriching one Pokémon doesn't hand every memoized card and row a fresh prop.
+  const viewCache = useRef({ normal: new WeakMap(), shiny: new WeakMap() });
+  const viewItems = useMemo(() => {
+    const cache = viewCache.current[shiny ? "shiny" : "normal"];
+    return items.map((p) => {
+      let v = cache.get(p);
+      if (!v) {
+        v = {
+          key: p.key,
+          id: p.id,
+          dexNumber: p.dexNumber,
+          name: p.name,
+          pokemon: p.pokemon, // form slots' own pokemon name, for per-form types
+          formLabel: p.formLabel,
+          formIndex: p.formIndex,
+          formCount: p.formCount,
+          sprite: spriteOf(p, shiny),
+        };
+        cache.set(p, v);
+      }
+      return v;
+    });
+  }, [items, shiny]);
+
+  // "Bulbasaur", "Raichu (Alola)"; falls back to the key for entries outside the current dex.
+  const entryLabel = (key) => {
+    const p = items.find((i) => i.key === key);
+    if (!p) return typeof key === "number" ? dexNo(key) : titleCase(String(key));
+    return `${titleCase(p.name)}${p.formLabel ? ` (${p.formLabel})` : ""}`;
+  };
+
+  const logActivity = useCallback((events) => {
+    if (!events.length) return;
+    setActivity((prev) => {
+      const out = prev.slice();
+      for (const e of events) {
+        const last = out[out.length - 1];
+        // Typing into the record editor edits on every keystroke; keep that as one event.
+        if (e.editKey && last?.editKey === e.editKey && Date.parse(e.at) - Date.parse(last.at) < EDIT_COALESCE_MS) {
+          const fields = Array.from(new Set([...(last.fields || []), ...(e.fields || [])]));
+          out[out.length - 1] = { ...e, fields, text: `${e.name}: ${fields.join(", ")}` };
+        } else out.push(e);
+      }
+      return out.slice(-ACTIVITY_LIMIT);
+    });
+  }, []);
+
+  const writePart = (part, value) => {
+    if (part === "lists") setLists(value);
+    else {
+      const saved = saveCaught(value, part === "shiny" ? keys.shiny : keys.caught);
+      setSaveProblem(caughtSaveProblem(keys) || (saved ? null : "Couldn't save to this browser's storage (it may be full). Export a backup."));
+      (part === "shiny" ? setCaughtShiny : setCaughtNormal)(value);
+    }
+  };
+
+  // Local changes wait in the sync queue (entry -> when) until a sync gets them to the server.
+  const queueSync = (changes) => {
+    if (!syncReady(syncConfig)) return;
+    const names = changes.flatMap(([part, before, after]) => changedSyncEntries(part, before, after));
+    if (!names.length) return;
+    const at = Date.now();
+    setSyncState((s) => ({ ...s, queue: { ...s.queue, ...Object.fromEntries(names.map((n) => [n, at])) } }));
+  };
+
+  // The one way caught data and lists change: applies + saves `next` ({ normal?, shiny?, lists? }),
+  // pushes an undo step and logs `events` (type + text; time and collection are filled in).
+  const commit = useCallback(
+    ({ label, next, events = [], editKey = null, toast = true }) => {
+      const current = { normal: caughtNormal, shiny: caughtShiny, lists };
+      const at = Date.now();
+      const parts = {};
+      for (const [part, value] of Object.entries(next)) {
+        parts[part] = [current[part], value];
+        writePart(part, value);
+      }
+      queueSync(Object.entries(parts).map(([part, [before, after]]) => [part, before, after]));
+      setHistory((h) => {
+        const top = h.undo[h.undo.length - 1];
+        if (editKey && top?.editKey === editKey && at - top.at < EDIT_COALESCE_MS) {
+          const merged = { ...top, label, at, parts: { ...top.parts } };
+          for (const [part, [, after]] of Object.entries(parts)) merged.parts[part] = [top.parts[part]?.[0] ?? parts[part][0], after];
+          return { undo: [...h.undo.slice(0, -1), merged], redo: [] };
+        }
+        return { undo: [...h.undo, { label, at, editKey, parts }].slice(-HISTORY_LIMIT), redo: [] };
+      });
+      // Lists-only steps don't re-run the achievement check, so they mustn't leave the flag set.
+      celebrateNext.current = "normal" in next || "shiny" in next;
+      const iso = new Date(at).toISOString();
+      logActivity(events.map((e) => ({ at: iso, shiny, ...e, ...(editKey ? { editKey } : {}) })));
+      if (toast) setToast({ label, at, undone: false });
+    },
+    [caughtNormal, caughtShiny, lists, keys, shiny, logActivity, syncConfig]
+  );
+
+  // Undo applies the top step's "before" values, redo its "after" values.
+  const travel = (direction) => {
+    const from = direction === "undo" ? history.undo : history.redo;
+    const step = from[from.length - 1];
+    if (!step) return;
+    for (const [part, [before, after]] of Object.entries(step.parts)) writePart(part, direction === "undo" ? before : after);
+    celebrateNext.current = false;
+    const current = { normal: caughtNormal, shiny: caughtShiny, lists };
+    queueSync(Object.entries(step.parts).map(([part, [before, after]]) => [part, current[part], direction === "undo" ? before : after]));
+    setHistory((h) =>
+      direction === "undo"
+        ? { undo: h.undo.slice(0, -1), redo: [...h.redo, step] }
+        : { undo: [...h.undo, step], redo: h.redo.slice(0, -1) }
+    );
+    logActivity([{ at: new Date().toISOString(), type: direction, text: step.label, shiny }]);
+    setToast({ label: step.label, at: Date.now(), undone: direction === "undo" });
+    setAnnouncement(`${direction === "undo" ? "Undone" : "Redone"}: ${step.label}.`);
+  };
+  const undo = () => travel("undo");
+  const redo = () => travel("redo");
+
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), TOAST_MS);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  // Records newly earned achievements ([{ a, suffix }]). With `celebrate`, each is logged and the
+  // highest-ranked one gets the overlay and its jingle.
+  const earn = (found, celebrate) => {
+    if (!found.length) return;
+    const at = new Date().toISOString();
+    setAchievements((prev) => {
+      const next = { ...prev };
+      for (const { a, suffix } of found) if (!next[a.id + suffix]) next[a.id + suffix] = at;
       return next;
     });
+    if (!celebrate) return;
+    const top = found.reduce((best, f) => (achievementRank(f.a) > achievementRank(best.a) ? f : best));
+    setTimeout(() => playJingle(ACHIEVEMENT_KINDS[top.a.kind].notes), 200); // after the catch blip
+    setCelebration({ achievement: top.a, more: found.length - 1, shiny: !!top.suffix, at: Date.now() });
+    logActivity(found.map(({ a, suffix }) => ({ at, type: "achievement", text: a.title, shiny: !!suffix })));
+    setAnnouncement((prev) => `${prev} Achievement unlocked: ${top.a.title}.`.trim());
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    gatherTypes({ signal: controller.signal })
+      .then((res) => !controller.signal.aborted && setTypeIds(typeIdsFrom(res)))
+      .catch(() => {}); // type achievements just stay unmeasured this session
+    return () => controller.abort();
+  }, []);
+
+  // Achievements are re-checked whenever a collection changes. Only changes made through `commit`
+  // celebrate; loading a profile, undo/redo and late type data quietly record what's already earned.
+  const checked = useRef({ normal: caughtNormal, shiny: caughtShiny }); // collections as of the last check
+  const activeProfile = useRef(profileId);
+  activeProfile.current = profileId;
+  useEffect(() => {
+    const celebrate = celebrateNext.current;
+    celebrateNext.current = false;
+    const found = [];
+    for (const [part, collection] of [["normal", caughtNormal], ["shiny", caughtShiny]]) {
+      const suffix = part === "shiny" ? ":shiny" : "";
+      const ctx = achievementContext(collection, typeIds);
+      for (const a of newAchievements(ctx, achievements, suffix)) found.push({ a, suffix });
+
+      // Evolution lines need the chain data, so they're looked up for what was just caught.
+      const prev = checked.current[part];
+      if (!celebrate || collection === prev || achievements["evo-line" + suffix]) continue;
+      const added = [...ctx.species].filter((id) => !prev.has(id));
+      if (!added.length) continue;
+      const owner = profileId;
+      completesEvolutionLine(added, (id) => ctx.species.has(id), {}).then((done) => {
+        if (done && activeProfile.current === owner) earn([{ a: ACHIEVEMENTS.find((a) => a.id === "evo-line"), suffix }], true);
+      });
+    }
+    checked.current = { normal: caughtNormal, shiny: caughtShiny };
+    earn(found, celebrate);
+  }, [caughtNormal, caughtShiny, typeIds, achievements]);
+
+  useEffect(() => {
+    if (!celebration) return;
+    const t = setTimeout(() => setCelebration(null), CELEBRATE_MS);
+    return () => clearTimeout(t);
+  }, [celebration]);
+
+  const achievementCtx = useMemo(() => achievementContext(caught, typeIds), [caught, typeIds]);
+
+  // Latest state for the sync loop, whose timers and round trips outlive renders.
+  const syncLive = useRef({});
+  syncLive.current = { caughtNormal, caughtShiny, lists, syncConfig, syncState, writePart, logActivity };
+  const syncRun = useRef({ signal: null, busy: false, again: false }); // per sync loop (see below)
+  const syncNow = useRef(null);
+
+  // Applies what a sync pulled onto the current collections, skipping entries changed here while
+  // the round trip was out (those are newer and go up next time).
+  const applyPulled = ({ pulled, conflicts, sent }) => {
+    const live = syncLive.current;
+    const next = {};
+    let count = 0;
+    for (const [name, v] of Object.entries(pulled)) {
+      if ((live.syncState.queue[name] ?? -Infinity) > (sent[name] ?? -Infinity)) continue;
+      const { part, key } = parseSyncEntry(name);
+      if (part === "lists") {
+        next.lists = next.lists || { ...live.lists };
+        if (v == null) delete next.lists[key];
+        else next.lists[key] = v;
+      } else {
+        next[part] = next[part] || new Map(part === "shiny" ? live.caughtShiny : live.caughtNormal);
+        if (v == null) next[part].delete(key);
+        else next[part].set(key, v);
+      }
+      count += 1;
+    }
+    if (count) {
+      for (const [part, value] of Object.entries(next)) live.writePart(part, value);
+      celebrateNext.current = false;
+      // Undo steps hold the pre-sync collections; undoing into one would quietly drop what was pulled.
+      setHistory({ undo: [], redo: [] });
+      setToast(null);
+    }
+    const text = [
+      count && `Pulled ${count} change${count === 1 ? "" : "s"} from another device`,
+      conflicts.length && `${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}`,
+    ].filter(Boolean);
+    if (text.length) live.logActivity([{ at: new Date().toISOString(), type: "synced", text: text.join(" · ") }]);
+  };
+
+  const runSync = async () => {
+    const run = syncRun.current;
+    const { signal } = run;
+    if (!signal || signal.aborted) return;
+    if (run.busy) {
+      run.again = true;
+      return;
+    }
+    if (navigator.onLine === false) {
+      setSyncStatus({ state: "offline" });
+      return;
+    }
+    run.busy = true;
+    setSyncStatus({ state: "syncing" });
+    try {
+      const { syncConfig: config, syncState: state } = syncLive.current;
+      const res = await syncOnce(
+        config,
+        state,
+        () => {
+          const live = syncLive.current;
+          return { normal: live.caughtNormal, shiny: live.caughtShiny, lists: live.lists, queue: live.syncState.queue };
+        },
+        { signal }
+      );
+      if (signal.aborted) return;
+      applyPulled(res);
+      setSyncState((s) => ({
+        ...s,
+        rev: res.rev,
+        base: Object.fromEntries(Object.entries(res.entries).map(([name, e]) => [name, e.at])),
+        queue: Object.fromEntries(Object.entries(s.queue).filter(([name, at]) => !(name in res.sent) || at > res.sent[name])),
+        lastSync: res.at,
+        conflicts: [...res.conflicts, ...s.conflicts].slice(0, SYNC_CONFLICT_LIMIT),
+      }));
+      setSyncStatus({ state: "idle" });
+    } catch (e) {
+      if (signal.aborted || isAbortError(e)) return;
+      // fetch only throws TypeError when the request never got an answer.
+      setSyncStatus(e instanceof TypeError ? { state: "offline" } : { state: "error", error: e.message });
+    } finally {
+      run.busy = false;
+      if (run.again && !signal.aborted) {
+        run.again = false;
+        syncNow.current();
+      }
+    }
+  };
+  syncNow.current = runSync;
+
+  // Sync loop: on load, profile switch or new settings; then every SYNC_POLL_MS, when the browser
+  // comes back online, and SYNC_DEBOUNCE_MS after local changes.
+  useEffect(() => {
+    if (!syncReady(syncConfig)) return;
+    const controller = new AbortController();
+    syncRun.current = { signal: controller.signal, busy: false, again: false };
+    const run = () => syncNow.current();
+    run();
+    const poll = setInterval(run, SYNC_POLL_MS);
+    window.addEventListener("online", run);
+    return () => {
+      controller.abort();
+      clearInterval(poll);
+      window.removeEventListener("online", run);
+    };
+  }, [profileId, syncConfig]);
+
+  useEffect(() => {
+    if (!Object.keys(syncState.queue).length) return;
+    const t = setTimeout(() => syncNow.current(), SYNC_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [syncState.queue]);
+
+  // New server or sync code: a different document, so start over (the next sync merges everything).
+  const changeSyncConfig = (config) => {
+    const prev = syncConfig && normalizeSyncConfig(syncConfig);
+    if (!config || config.endpoint !== prev?.endpoint || config.code !== prev?.code) setSyncState(emptySyncState());
+    setSyncConfig(config);
+    setSyncStatus({ state: "idle" });
+  };
+
+  // `key` is a species id, or a form slot key in forms mode.
+  const selectedKey = selected?.key;
+  const toggleCaught = useCallback(
+    (key = selectedKey) => {
+      if (key == null) return;
+      const wasCaught = caught.has(key);
+      const name = entryLabel(key);
+      const next = new Map(caught);
+      if (wasCaught) next.delete(key);
+      else next.set(key, newCatchRecord());
+      const label = `${wasCaught ? "Released" : "Caught"} ${name}${shiny ? " (shiny)" : ""}`;
+      commit({
+        label,
+        next: { [shiny ? "shiny" : "normal"]: next },
+        events: [{ type: wasCaught ? "released" : "caught", text: name }],
+      });
+      setAnnouncement(`${label}. ${progress.caughtCount + (wasCaught ? -1 : 1)} of ${progress.total}.`);
+    },
+    [selectedKey, shiny, items, caught, progress, commit]
+  );
+
+  // Bulk change from the list (one state update, one save, one SFX, one undo step).
+  // change: { caught: true | false } or { patch, field } (patch only touches caught entries).
+  const applyBulk = useCallback(
+    (targets, change) => {
+      const next = new Map(caught);
+      let changed = 0;
+      for (const key of targets) {
+        if (change.caught === true && !next.has(key)) next.set(key, newCatchRecord());
+        else if (change.caught === false && next.has(key)) next.delete(key);
+        else if (change.patch && next.has(key)) next.set(key, patchRecord(next.get(key), change.patch));
+        else continue;
+        changed += 1;
+      }
+      if (!changed) return;
+      if (change.caught) playCatchSfx();
+      const label =
+        change.caught === true
+          ? `Marked ${changed} caught`
+          : change.caught === false
+          ? `Marked ${changed} missing`
+          : `Updated ${change.field} on ${changed}`;
+      const type = change.caught === true ? "caught" : change.caught === false ? "released" : "edited";
+      commit({ label, next: { [shiny ? "shiny" : "normal"]: next }, events: [{ type, text: label }] });
+      setAnnouncement(`${label}.`);
+    },
+    [caught, shiny, commit]
+  );
+
+  const addToList = (name, listKeys) => {
+    const label = `Added ${listKeys.length} to “${name}”`;
+    commit({
+      label,
+      next: { lists: { ...lists, [name]: Array.from(new Set([...(lists[name] || []), ...listKeys])) } },
+      events: [{ type: "lists", text: label }],
+    });
+  };
+
+  const deleteList = (name) => {
+    const { [name]: _gone, ...rest } = lists;
+    const label = `Deleted list “${name}”`;
+    commit({ label, next: { lists: rest }, events: [{ type: "lists", text: label }] });
+  };
+
+  // Edits the active collection's record for a caught entry (one undo step per entry per minute of typing).
+  const updateRecord = (key, patch) => {
+    if (!caught.has(key)) return;
+    const next = new Map(caught);
+    next.set(key, patchRecord(caught.get(key), patch));
+    const name = entryLabel(key);
+    const fields = Object.keys(patch).map((k) => CATCH_FIELDS.find((f) => f.key === k)?.label || k);
+    commit({
+      label: `Edited ${name}`,
+      next: { [shiny ? "shiny" : "normal"]: next },
+      events: [{ type: "edited", text: `${name}: ${fields.join(", ")}`, name, fields }],
+      editKey: `${shiny ? "shiny" : "normal"}:${key}`,
+      toast: false,
+    });
+  };
+
+  // Import: "replace" swaps a collection's entries wholesale, "merge" only adds.
+  // Either way, records we keep get the imported fields layered over what we had.
+  const applyImport = (collections, strategy) => {
+    const apply = (incoming, prev) => {
+      const next = strategy === "replace" ? new Map() : new Map(prev);
+      for (const [key, rec] of incoming) next.set(key, patchRecord(prev.get(key) || {}, rec));
+      return next;
+    };
+    const next = {};
+    if (collections.normal) next.normal = apply(collections.normal, caughtNormal);
+    if (collections.shiny) next.shiny = apply(collections.shiny, caughtShiny);
+    const counts = [
+      collections.normal && `${collections.normal.size} normal`,
+      collections.shiny && `${collections.shiny.size} shiny`,
+    ].filter(Boolean);
+    const label = `Imported (${strategy}): ${counts.join(", ")}`;
+    commit({ label, next, events: [{ type: "imported", text: label }] });
+  };
+
+  // Box numbers follow dex order, so they're shared by the planner and the side panel.
+  const boxLayout = useMemo(() => layoutBoxes(items, { ...boxOptions, formSlots: reservedForms }), [items, boxOptions, reservedForms]);
+
+  // "Reserve form slots" outside forms mode: look up every species' forms (the same lookup and
+  // cache forms mode uses), once per dex.
+  const itemIds = useMemo(() => items.map((p) => p.id).join(","), [items]);
+  useEffect(() => {
+    if (!boxOptions.reserveForms || formsMode || !items.length) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    setReservedForms(null);
+    setReserving({ done: 0, total: items.length });
+    buildFormSlots(items, { signal, onProgress: (done, total) => !signal.aborted && setReserving({ done, total }) })
+      .then(({ slots }) => {
+        if (signal.aborted) return;
+        const byId = {};
+        for (const s of slots) (byId[s.id] = byId[s.id] || []).push(s);
+        setReservedForms(byId);
+      })
+      .catch(() => {})
+      .finally(() => !signal.aborted && setReserving(null));
+    return () => {
+      controller.abort();
+      setReserving(null);
+    };
+  }, [itemIds, boxOptions.reserveForms, formsMode]);
+
+  // Distinct species with at least one missing slot (encounters are per species).
+  const missingSpecies = useMemo(() => {
+    const seen = new Set();
+    const out = [];
+    for (const p of items) {
+      if (caught.has(p.key) || seen.has(p.id)) continue;
+      seen.add(p.id);
+      out.push({ id: p.id, name: p.name, sprite: spriteOf(p, shiny) });
+    }
+    return out;
+  }, [items, caught, shiny]);
+
+  // Accepts a slot key or a species id (which is also its default slot's key).
+  const jumpToId = useCallback(
+    (key) => {
+      let idx = items.findIndex((p) => p.key === key);
+      if (idx < 0) idx = items.findIndex((p) => p.id === key);
+      if (idx >= 0) {
+        setView("dex");
+        setSelectedIndex(idx);
+      }
+    },
+    [items]
+  );
+
+  // Number typed after "g": the entry with that dex number (regional numbering in a regional dex).
+  const jumpToDexNumber = (digits) => {
+    const n = Number(digits);
+    const idx = items.findIndex((p) => (p.dexNumber ?? p.id) === n);
+    if (idx >= 0) setSelectedIndex(idx);
+    else setAnnouncement(`No ${dexNo(n)} in this dex.`);
   };
 
-  const jumpToId = (id) => {
-    const idx = items.findIndex((p) => p.id === id);
-    if (idx >= 0) {
-      setView("dex");
-      setSelectedIndex(idx);
+  useEffect(() => {
+    if (!jumpDigits) return;
+    const t = setTimeout(() => {
+      jumpToDexNumber(jumpDigits);
+      setJumpDigits(null);
+    }, JUMP_COMMIT_MS);
+    return () => clearTimeout(t);
+  }, [jumpDigits]);
+
+  // "/" from another view opens the list first; the input takes focus when it mounts
+  // (which waits for the previous view's exit animation).
+  const attachSearch = useCallback((el) => {
+    searchRef.current = el;
+    if (el && focusSearchOnOpen.current) {
+      focusSearchOnOpen.current = false;
+      el.focus();
     }
+  }, []);
+
+  // Latest state for the window-level key handler, which is bound once.
+  const hotkeys = useRef({});
+  hotkeys.current = {
+    jumpDigits,
+    view,
+    modalOpen: showBackup || showProfiles || showGames || showActivity || showAchievements,
+    closeModal: () => {
+      setShowBackup(false);
+      setShowProfiles(false);
+      setShowGames(false);
+      setShowActivity(false);
+      setShowAchievements(false);
+    },
+    toggleCaught,
+    jumpToDexNumber,
+    browse: (delta) => items.length && setSelectedIndex((i) => clamp(i + delta, 0, items.length - 1)),
+    undo,
+    redo,
   };
 
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const h = hotkeys.current;
+      // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y — except in text fields, which have their own undo.
+      const k = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && (k === "z" || k === "y") && !isTypingTarget(e.target)) {
+        e.preventDefault();
+        if (k === "y" || e.shiftKey) h.redo();
+        else h.undo();
+        return;
+      }
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.key === "Escape") {
+        if (h.jumpDigits != null) setJumpDigits(null);
+        else if (h.modalOpen) h.closeModal();
+        return;
+      }
+      if (h.modalOpen || isTypingTarget(e.target)) return;
+
+      if (h.jumpDigits != null) {
+        e.preventDefault();
+        if (/^\d$/.test(e.key)) setJumpDigits((d) => (d + e.key).slice(0, 4));
+        else if (e.key === "Backspace") setJumpDigits((d) => d.slice(0, -1));
+        else {
+          if (e.key === "Enter" && h.jumpDigits) h.jumpToDexNumber(h.jumpDigits);
+          setJumpDigits(null);
+        }
+        return;
+      }
+
+      // ←/→ browse from anywhere; the focused carousel (and other listboxes) handle their own keys.
+      if ((e.key === "ArrowLeft" || e.key === "ArrowRight") && !e.shiftKey && !e.target.closest?.('[role="listbox"], [role="slider"]')) {
+        e.preventDefault();
+        h.browse(e.key === "ArrowLeft" ? -1 : 1);
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === "c") {
+        e.preventDefault();
+        playCatchSfx();
+        h.toggleCaught();
+      } else if (key === "/") {
+        e.preventDefault();
+        if (h.view === "list") searchRef.current?.focus();
+        else {
+          focusSearchOnOpen.current = true;
+          setView("list");
+        }
+      } else if (key === "g") {
+        e.preventDefault();
+        setJumpDigits("");
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
   return (
-    <div className="min-h-screen bg-[#06070c] text-white">
-      <PokeballIntro done={introDone} onDone={() => setIntroDone(true)} />
+    <MotionConfig reducedMotion="user">
+      <div className="min-h-screen bg-[#06070c] text-white">
+        <PokeballIntro done={introDone} onDone={() => setIntroDone(true)} />
+        <div role="status" aria-live="polite" className="sr-only">
+          {announcement}
+        </div>
 
-      <div className="mx-auto max-w-6xl px-4 pb-10 pt-6">
-        {/* Header */}
-        <div className="flex flex-col gap-4 md:flex-row md:items-end md:justify-between">
-          <div>
-            <div className="flex items-center gap-3">
-              <div className="relative h-10 w-10 rounded-2xl bg-white/5 ring-1 ring-white/10">
-                <div className="absolute inset-0 rounded-2xl bg-gradient-to-br from-emerald-500/25 to-cyan-500/15" />
-                <div className="absolute left-1/2 top-1/2 h-4 w-4 -translate-x-1/2 -translate-y-1/2 rounded-full bg-emerald-300/80 blur-[1px]" />
+        <div className="mx-auto max-w-6xl px-4 pb-10 pt-6">
+          {/* Header */}
+          <div className="flex flex-col gap-4 md:flex-row md:items-end md:justify-between">
+            <div>
+              <div className="flex items-center gap-3">
+                <div className="relative h-10 w-10 rounded-2xl bg-white/5 ring-1 ring-white/10">
+                  <div className="absolute inset-0 rounded-2xl bg-gradient-to-br from-emerald-500/25 to-cyan-500/15" />
+                  <div className="absolute left-1/2 top-1/2 h-4 w-4 -translate-x-1/2 -translate-y-1/2 rounded-full bg-emerald-300/80 blur-[1px]" />
+                </div>
+                <div>
+                  <div className="text-2xl font-black tracking-tight">Pokéball Dex</div>
+                  <div className="text-sm text-white/60">A sleek living-dex tracker with real encounter data.</div>
+                </div>
               </div>
-              <div>
-                <div className="text-2xl font-black tracking-tight">Pokéball Dex</div>
-                <div className="text-sm text-white/60">A sleek living-dex tracker with real encounter data.</div>
+
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <Chip>
+                  {mode.label} Dex{shiny && " ✦ Shiny"}
+                </Chip>
+                <Chip>
+                  Progress: <span className="ml-1 font-extrabold text-white">{progress.caughtCount}</span> / {progress.total} ({progress.pct}%)
+                </Chip>
+                <Chip>
+                  Missing: <span className="ml-1 font-extrabold text-white">{progress.missingCount}</span>
+                </Chip>
+                {formsProgress && (
+                  <Chip>
+                    Loading forms… {formsProgress.done} / {formsProgress.total}
+                  </Chip>
+                )}
+                {formsFailed > 0 && !formsProgress && (
+                  <RetryNote onRetry={() => setCatalogTick((t) => t + 1)} className="text-xs">
+                    Forms for {formsFailed} Pokémon didn’t load.
+                  </RetryNote>
+                )}
+                {dataSource.kind !== "pokeapi" && <Chip>Data: {DATA_SOURCE_KINDS[dataSource.kind]}</Chip>}
+                {saveProblem ? (
+                  <span title={saveProblem} className="inline-flex items-center rounded-full border border-rose-300/40 bg-rose-400/10 px-2.5 py-1 text-xs text-rose-100">
+                    Not saved ⚠
+                  </span>
+                ) : (
+                  <Chip>Local save ✓</Chip>
+                )}
+                {syncReady(syncConfig) && (
+                  <button
+                    onClick={() => setShowBackup(true)}
+                    title="Sync settings"
+                    className={
+                      "inline-flex items-center rounded-full border bg-white/5 px-2.5 py-1 text-xs hover:bg-white/10 " +
+                      (syncStatus.state === "error"
+                        ? "border-rose-300/40 text-rose-100"
+                        : syncStatus.state === "offline"
+                        ? "border-amber-300/40 text-amber-100"
+                        : "border-white/15 text-white/90")
+                    }
+                  >
+                    {syncStatusText(syncStatus, syncState)}
+                    {syncState.conflicts.length > 0 && <span className="ml-1.5 text-amber-200">⚠ {syncState.conflicts.length}</span>}
+                  </button>
+                )}
               </div>
             </div>
 
-            <div className="mt-3 flex flex-wrap items-center gap-2">
-              <Chip>
-                Progress: <span className="ml-1 font-extrabold text-white">{progress.caughtCount}</span> / {progress.total} ({progress.pct}%)
-              </Chip>
-              <Chip>
-                Missing: <span className="ml-1 font-extrabold text-white">{progress.missingCount}</span>
-              </Chip>
-              <Chip>Local save ✓</Chip>
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value={profileId}
+                onChange={(e) => switchProfile(e.target.value)}
+                title="Save profile"
+                className="rounded-xl border border-white/15 bg-black/30 px-3 py-1.5 text-sm font-semibold text-white/90 outline-none focus:ring-2 focus:ring-emerald-300/40"
+              >
+                {profiles.profiles.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <Toggle active={showProfiles} onClick={() => setShowProfiles(true)}>Profiles</Toggle>
+              <Toggle active={showGames} onClick={() => setShowGames(true)}>My games</Toggle>
+              <DexPicker value={dexKey} onChange={setDexKey} />
+              <Toggle active={formsMode} onClick={() => setFormsMode((f) => !f)}>Forms</Toggle>
+              <Toggle active={shiny} onClick={() => setShiny((v) => !v)}>✦ Shiny</Toggle>
+              <Toggle active={showBackup} onClick={() => setShowBackup(true)}>Backup</Toggle>
+              <Toggle active={showActivity} onClick={() => setShowActivity(true)}>History</Toggle>
+              <Toggle active={showAchievements} onClick={() => setShowAchievements(true)}>Achievements</Toggle>
+              <Toggle active={view === "dex"} onClick={() => setView("dex")}>Dex</Toggle>
+              <Toggle active={view === "list"} onClick={() => setView("list")}>List</Toggle>
+              <Toggle active={view === "boxes"} onClick={() => setView("boxes")}>Boxes</Toggle>
+              <Toggle active={view === "planner"} onClick={() => setView("planner")}>Planner</Toggle>
+              <Toggle active={view === "matrix"} onClick={() => setView("matrix")}>Availability</Toggle>
+              <Toggle active={view === "stats"} onClick={() => setView("stats")}>Stats</Toggle>
             </div>
           </div>
 
-          <div className="flex items-center gap-2">
-            <Toggle active={view === "dex"} onClick={() => setView("dex")}>Dex</Toggle>
-            <Toggle active={view === "list"} onClick={() => setView("list")}>List</Toggle>
-          </div>
-        </div>
+          {/* Body */}
+          <div className="mt-6 grid grid-cols-1 gap-4 md:grid-cols-12">
+            <div className="md:col-span-7">
+              <FuturisticPanel className="overflow-hidden">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm font-extrabold text-white">Pokédex Carousel</div>
+                  <div className="text-xs text-white/50">Scroll wheel • Drag • Click • Arrow keys</div>
+                </div>
 
-        {/* Body */}
-        <div className="mt-6 grid grid-cols-1 gap-4 md:grid-cols-12">
-          <div className="md:col-span-7">
-            <FuturisticPanel className="overflow-hidden">
-              <div className="flex items-center justify-between">
-                <div className="text-sm font-extrabold text-white">Pokédex Carousel</div>
-                <div className="text-xs text-white/50">Scroll wheel • Drag • Click</div>
-              </div>
+                <div className="mt-3">
+                  {loading ? (
+                    <div className="flex h-40 items-center justify-center text-white/60">Loading Pokédex…</div>
+                  ) : items.length ? (
+                    <Carousel
+                      items={viewItems}
+                      selectedIndex={selectedIndex}
+                      onSelect={setSelectedIndex}
+                    />
+                  ) : (
+                    <div className="flex h-40 items-center justify-center">
+                      <RetryNote onRetry={() => setCatalogTick((t) => t + 1)}>Couldn’t load Pokédex list.</RetryNote>
+                    </div>
+                  )}
+                </div>
 
-              <div className="mt-3">
-                {loading ? (
-                  <div className="flex h-40 items-center justify-center text-white/60">Loading Pokédex…</div>
-                ) : items.length ? (
-                  <Carousel
-                    items={items.map((p) => ({
-                      id: p.id,
-                      name: p.name,
-                      sprite: p.sprite || p.spriteFallback,
-                    }))}
-                    selectedIndex={selectedIndex}
-                    onSelect={(i) => setSelectedIndex(i)}
+                {/* Mini controls */}
+                <div className="mt-3 flex items-center justify-between gap-2">
+                  <button
+                    onClick={() => setSelectedIndex((i) => clamp(i - 1, 0, items.length - 1))}
+                    className="rounded-xl bg-white/5 px-3 py-2 text-sm font-bold text-white/80 hover:bg-white/10"
+                  >
+                    ◀ Prev
+                  </button>
+                  {jumpDigits != null ? (
+                    <div className="rounded-lg bg-emerald-400/15 px-2 py-1 text-xs font-bold text-emerald-200">
+                      Go to #{jumpDigits || "…"}
+                    </div>
+                  ) : (
+                    <div className="text-xs text-white/55">
+                      Center selection drives the info panel →
+                    </div>
+                  )}
+                  <button
+                    onClick={() => setSelectedIndex((i) => clamp(i + 1, 0, items.length - 1))}
+                    className="rounded-xl bg-white/5 px-3 py-2 text-sm font-bold text-white/80 hover:bg-white/10"
+                  >
+                    Next ▶
+                  </button>
+                </div>
+
+                <div className="mt-3 h-2 w-full overflow-hidden rounded-full bg-white/5">
+                  <div
+                    className="h-full bg-emerald-400/70"
+                    style={{ width: `${items.length ? Math.round(((selectedIndex + 1) / items.length) * 100) : 0}%` }}
                   />
-                ) : (
-                  <div className="flex h-40 items-center justify-center text-rose-200">Couldn’t load Pokédex list. Try refreshing.</div>
-                )}
-              </div>
+                </div>
 
-              {/* Mini controls */}
-              <div className="mt-3 flex items-center justify-between gap-2">
-                <button
-                  onClick={() => setSelectedIndex((i) => clamp(i - 1, 0, items.length - 1))}
-                  className="rounded-xl bg-white/5 px-3 py-2 text-sm font-bold text-white/80 hover:bg-white/10"
-                >
-                  ◀ Prev
-                </button>
-                <div className="text-xs text-white/55">
-                  Center selection drives the info panel →
+                <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-white/40">
+                  {HOTKEYS.map(([k, what]) => (
+                    <span key={k}>
+                      <kbd className="rounded bg-white/10 px-1 font-sans text-white/70">{k}</kbd> {what}
+                    </span>
+                  ))}
                 </div>
-                <button
-                  onClick={() => setSelectedIndex((i) => clamp(i + 1, 0, items.length - 1))}
-                  className="rounded-xl bg-white/5 px-3 py-2 text-sm font-bold text-white/80 hover:bg-white/10"
-                >
-                  Next ▶
-                </button>
-              </div>
+              </FuturisticPanel>
 
-              <div className="mt-3 h-2 w-full overflow-hidden rounded-full bg-white/5">
-                <div
-                  className="h-full bg-emerald-400/70"
-                  style={{ width: `${items.length ? Math.round(((selectedIndex + 1) / items.length) * 100) : 0}%` }}
-                />
-              </div>
-            </FuturisticPanel>
-
-            <AnimatePresence mode="wait">
-              {view === "list" && (
-                <motion.div
-                  key="list"
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: 10 }}
-                  transition={{ duration: 0.25 }}
-                  className="mt-4"
-                >
-                  <ListView
-                    items={items.map((p) => ({
-                      id: p.id,
-                      name: p.name,
-                      sprite: p.sprite || p.spriteFallback,
-                    }))}
-                    caughtSet={caught}
-                    onJumpToId={jumpToId}
-                    onToggleCaught={toggleCaught}
-                  />
-                </motion.div>
-              )}
-            </AnimatePresence>
-          </div>
+              <AnimatePresence mode="wait">
+                {view === "list" && (
+                  <motion.div
+                    key="list"
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 10 }}
+                    transition={{ duration: 0.25 }}
+                    className="mt-4"
+                  >
+                    <ListView
+                      items={viewItems}
+                      caught={caught}
+                      ownedGames={ownedGames}
+                      savedSearches={savedSearches}
+                      onSavedSearchesChange={setSavedSearches}
+                      lists={lists}
+                      searchRef={attachSearch}
+                      onJumpToId={jumpToId}
+                      onToggleCaught={toggleCaught}
+                      onBulk={applyBulk}
+                      onAddToList={addToList}
+                      onDeleteList={deleteList}
+                    />
+                  </motion.div>
+                )}
+                {view === "boxes" && (
+                  <motion.div
+                    key="boxes"
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 10 }}
+                    transition={{ duration: 0.25 }}
+                    className="mt-4"
+                  >
+                    <BoxView
+                      layout={boxLayout}
+                      caught={caught}
+                      shiny={shiny}
+                      selectedKey={selected?.key}
+                      options={boxOptions}
+                      reserving={reserving}
+                      onOptionsChange={setBoxOptions}
+                      onToggleCaught={toggleCaught}
+                    />
+                  </motion.div>
+                )}
+                {view === "planner" && (
+                  <motion.div
+                    key="planner"
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 10 }}
+                    transition={{ duration: 0.25 }}
+                    className="mt-4"
+                  >
+                    <PlannerView
+                      missing={missingSpecies}
+                      version={plannerVersion}
+                      onVersionChange={setPlannerVersion}
+                      onJumpToId={jumpToId}
+                    />
+                  </motion.div>
+                )}
+                {view === "matrix" && (
+                  <motion.div
+                    key="matrix"
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 10 }}
+                    transition={{ duration: 0.25 }}
+                    className="mt-4"
+                  >
+                    <MatrixView
+                      items={viewItems}
+                      caught={caught}
+                      dexKey={dexKey}
+                      ownedGames={ownedGames}
+                      onJumpToId={jumpToId}
+                    />
+                  </motion.div>
+                )}
+                {view === "stats" && (
+                  <motion.div
+                    key="stats"
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 10 }}
+                    transition={{ duration: 0.25 }}
+                    className="mt-4"
+                  >
+                    <StatsView items={items} caught={caught} dexLabel={mode.label} />
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </div>
 
-          <div className="md:col-span-5">
-            <AnimatePresence mode="wait">
-              {selected && view === "dex" && (
-                <motion.div
-                  key={selected.id}
-                  initial={{ opacity: 0, x: 12 }}
-                  animate={{ opacity: 1, x: 0 }}
-                  exit={{ opacity: 0, x: 12 }}
-                  transition={{ duration: 0.25 }}
-                >
-                  <DexSidePanel
-                    pokemon={selected}
-                    caught={caught.has(selected.id)}
-                    onToggleCaught={() => toggleCaught(selected.id)}
-                  />
-                </motion.div>
-              )}
-            </AnimatePresence>
+            <div className="md:col-span-5">
+              <AnimatePresence mode="wait">
+                {selected && view === "dex" && (
+                  <motion.div
+                    key={selected.key}
+                    initial={{ opacity: 0, x: 12 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: 12 }}
+                    transition={{ duration: 0.25 }}
+                  >
+                    <DexSidePanel
+                      pokemon={selected}
+                      caught={caught.has(selected.key)}
+                      record={caught.get(selected.key)}
+                      collection={caught}
+                      shiny={shiny}
+                      boxSpot={boxLayout.where.get(selected.key)}
+                      ownedGames={ownedGames}
+                      detailsFailed={detailsFailed === selected.key}
+                      onRetryDetails={() => setDetailsTick((t) => t + 1)}
+                      onToggleCaught={() => toggleCaught(selected.key)}
+                      onUpdateRecord={(patch) => updateRecord(selected.key, patch)}
+                      onJumpToId={jumpToId}
+                    />
+                  </motion.div>
+                )}
+              </AnimatePresence>
 
-            {view === "dex" && (
-              <div className="mt-4 text-xs text-white/40">
-                Want it even cooler? Add: generation filters, shiny toggle, form support, import/export (CSV), and your own “targets” list.
-              </div>
-            )}
+              {view === "dex" && (
+                <div className="mt-4 text-xs text-white/40">
+                  Want it even cooler? Add: your own “targets” list.
+                </div>
+              )}
+            </div>
           </div>
         </div>
-      </div>
 
-      <style>{`
-        .no-scrollbar::-webkit-scrollbar{display:none}
-        .no-scrollbar{scrollbar-width:none}
-      `}</style>
-    </div>
+        <AnimatePresence>
+          {showBackup && (
+            <BackupPanel
+              items={items}
+              dexKey={dexKey}
+              caughtNormal={caughtNormal}
+              caughtShiny={caughtShiny}
+              shiny={shiny}
+              settings={{ profile: profile?.name, dex: dexKey, forms: formsMode }}
+              sync={{
+                config: syncConfig,
+                state: syncState,
+                status: syncStatus,
+                onChange: changeSyncConfig,
+                onSyncNow: () => syncNow.current(),
+                onClearConflicts: () => setSyncState((s) => ({ ...s, conflicts: [] })),
+              }}
+              onApply={applyImport}
+              onClose={() => setShowBackup(false)}
+            />
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {showProfiles && (
+            <ProfilesPanel
+              profiles={profiles.profiles}
+              activeId={profileId}
+              onSwitch={switchProfile}
+              onCreate={createProfile}
+              onRename={renameProfile}
+              onDuplicate={duplicateProfile}
+              onDelete={deleteProfile}
+              onClose={() => setShowProfiles(false)}
+            />
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {showGames && <GamesPanel owned={ownedGames} onChange={setOwnedGames} onClose={() => setShowGames(false)} />}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {toast && (
+            <HistoryToast
+              label={toast.undone ? `Undone: ${toast.label}` : toast.label}
+              actionLabel={toast.undone ? "Redo" : "Undo"}
+              onAction={toast.undone ? redo : undo}
+              onDismiss={() => setToast(null)}
+            />
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {showActivity && (
+            <ActivityPanel
+              events={activity}
+              profileName={profile?.name}
+              onClear={() => setActivity([])}
+              onClose={() => setShowActivity(false)}
+            />
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {showAchievements && (
+            <AchievementsPanel
+              earned={achievements}
+              ctx={achievementCtx}
+              shiny={shiny}
+              onClose={() => setShowAchievements(false)}
+            />
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {celebration && (
+            <AchievementCelebration
+              key={celebration.at}
+              achievement={celebration.achievement}
+              more={celebration.more}
+              shiny={celebration.shiny}
+              onDone={() => setCelebration(null)}
+            />
+          )}
+        </AnimatePresence>
+
+        <style>{`
+          .no-scrollbar::-webkit-scrollbar{display:none}
+          .no-scrollbar{scrollbar-width:none}
+          .sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
+        `}</style>
+      </div>
+    </MotionConfig>
   );
 }
@@ -0,0 +1,112 @@
+// Service worker: keeps the tracker usable with no signal.
+// - App shell (this folder + the CDN scripts index.html loads) is precached on install.
+//   Those files (and page loads) are served network-first so a new deploy shows up on the next
+//   online visit; nothing else from our origin is cached (e.g. a same-origin static API dump).
+// - Sprites are cached the first time they're shown (cache-first), trimmed to SPRITE_LIMIT.
+// PokeAPI JSON isn't handled here: the app keeps that in IndexedDB itself (see fetchJSON).
+const SHELL_CACHE = "living-dex-shell-v2"; // v1 also held same-origin API files
+const SPRITE_CACHE = "living-dex-sprites-v1";
+// Written by index.html (compiled JSX, keyed by source hash); kept across updates.
+const COMPILED_CACHE = "living-dex-compiled";
+const SPRITE_LIMIT = 4000;
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./living_dex_tracker_pokeball_dex_react.jsx",
+  "./manifest.webmanifest",
+  "./icon-192.png",
+  "./icon-512.png",
+];
+
+const shellUrls = new Set(SHELL.map((p) => new URL(p, self.location).href));
+
+// Must match the <script> tags in index.html.
+const CDN = [
+  "https://unpkg.com/react@18/umd/react.production.min.js",
+  "https://unpkg.com/react-dom@18/umd/react-dom.production.min.js",
+  "https://unpkg.com/framer-motion@11/dist/framer-motion.umd.js",
+  "https://unpkg.com/@babel/standalone/babel.min.js",
+];
+
+// PokeAPI's sprite repo, or a self-hosted copy of it (see "Data source" in the app).
+const isSprite = (url) =>
+  (url.hostname === "raw.githubusercontent.com" && url.pathname.startsWith("/PokeAPI/sprites/")) ||
+  /\/sprites\/pokemon\/.+\.(png|gif|svg)$/.test(url.pathname);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL);
+      // A CDN hiccup shouldn't block installing; those get cached on first use instead.
+      await Promise.all(CDN.map((u) => cache.add(new Request(u, { mode: "cors" })).catch(() => {})));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, SPRITE_CACHE, COMPILED_CACHE];
+      for (const name of await caches.keys()) {
+        if (!keep.includes(name)) await caches.delete(name);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || req.cache === "no-store") return; // e.g. sync requests
+  const url = new URL(req.url);
+
+  if (isSprite(url)) event.respondWith(spriteFirst(req));
+  else if (req.mode === "navigate" || shellUrls.has(url.href)) event.respondWith(networkFirst(req));
+  else if (CDN.includes(req.url)) event.respondWith(cacheFirst(req));
+});
+
+async function networkFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok && shellUrls.has(res.url || req.url)) cache.put(req, res.clone());
+    return res;
+  } catch (e) {
+    const hit = (await cache.match(req)) || (req.mode === "navigate" && (await cache.match("./index.html")));
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function cacheFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(req.url);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) cache.put(req.url, res.clone());
+  return res;
+}
+
+let spritePuts = 0;
+
+async function spriteFirst(req) {
+  const cache = await caches.open(SPRITE_CACHE);
+  const hit = await cache.match(req.url);
+  if (hit) return hit;
+  // <img> asks in no-cors mode; refetch with CORS so we don't store (and pay quota for) opaque responses.
+  const res = await fetch(req.url, { mode: "cors" });
+  if (res.ok) {
+    await cache.put(req.url, res.clone());
+    if (++spritePuts % 100 === 0) trimCache(cache, SPRITE_LIMIT);
+  }
+  return res;
+}
+
+// Oldest first: Cache Storage keeps insertion order.
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - limit))) await cache.delete(key);
+}
@@ -0,0 +1,105 @@
+// Minimal sync server for the tracker (see "Sync" in living_dex_tracker_pokeball_dex_react.jsx).
+// No dependencies:
+//   node sync-server.js                      -> http://localhost:8787, documents in ./sync-data
+//   PORT=9000 DATA_DIR=/srv/dex TOKEN=secret node sync-server.js
+// Then use http://<host>:<port>/sync as the endpoint in Backup & restore → Sync. Put it behind
+// HTTPS (a reverse proxy) when the app itself is served over HTTPS.
+//   GET /sync/<code> -> 200 { rev, doc } | 404
+//   PUT /sync/<code> <- { baseRev, doc } -> 200 { rev } | 409 when baseRev isn't the stored rev
+// Documents are kept as-is, one JSON file per sync code (named by its hash, so any code is a safe name).
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "sync-data");
+const TOKEN = process.env.TOKEN || "";
+const MAX_BODY = 5 * 1024 * 1024;
+const MAX_CODE = 200;
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const fileFor = (code) => path.join(DATA_DIR, `${crypto.createHash("sha256").update(code).digest("hex")}.json`);
+
+function read(code) {
+  try {
+    return JSON.parse(fs.readFileSync(fileFor(code), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// Write-then-rename so a crash never leaves half a document.
+function write(code, stored) {
+  const tmp = `${fileFor(code)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(stored));
+  fs.renameSync(tmp, fileFor(code));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Cache-Control": "no-store",
+    ...(body !== undefined && { "Content-Type": "application/json" }),
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("Too large"), { status: 413 }));
+        req.destroy();
+      } else chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const m = /^\/sync\/([^/?]+)$/.exec(req.url.split("?")[0]);
+  let code = null;
+  try {
+    code = m && decodeURIComponent(m[1]);
+  } catch {}
+  if (!code || code.length > MAX_CODE) return send(res, 404, { error: "Not found" });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Bad token" });
+
+  try {
+    if (req.method === "GET") {
+      const stored = read(code);
+      return stored ? send(res, 200, stored) : send(res, 404, { error: "Nothing stored yet" });
+    }
+    if (req.method === "PUT") {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (e) {
+        if (e.status) throw e;
+        return send(res, 400, { error: "Body isn't JSON" });
+      }
+      if (!body || typeof body.doc !== "object" || body.doc === null) return send(res, 400, { error: "Missing doc" });
+      // Requests are handled one at a time between these lines (no awaits), so check-and-write is atomic.
+      const stored = read(code);
+      if ((stored?.rev ?? null) !== (body.baseRev ?? null)) return send(res, 409, { rev: stored?.rev ?? null });
+      const rev = crypto.randomBytes(8).toString("hex");
+      write(code, { rev, doc: body.doc });
+      return send(res, 200, { rev });
+    }
+    send(res, 405, { error: "Method not allowed" });
+  } catch (e) {
+    send(res, e.status || 500, { error: e.message });
+  }
+});
+
+server.listen(PORT, () => console.log(`Living dex sync server on http://localhost:${PORT}/sync (data in ${DATA_DIR})`));